@@ -0,0 +1,293 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { hasOrgToken } from './auth.js';
+import { isJwtAuth } from './jwt.js';
+import { jsonResponse } from './utils.js';
+
+// Constants
+export const APPROVE_PATH = '/.review/approve';
+export const REJECT_PATH = '/.review/reject';
+export const APPROVALS_PATH = '/.review/approvals';
+const DEFAULT_GITHUB_API_URL = 'https://api.github.com';
+const DEFAULT_DISPATCH_EVENT = 'review-approved';
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Returns the KV key prefix of the approval state of a review
+ * @param {Object} reviewInfo - Review information object
+ * @returns {string} The KV key prefix
+ */
+const getApprovalsKey = (reviewInfo) => `approvals:${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId}`;
+
+/**
+ * Returns the KV key of a reviewer's decision. Each reviewer's decision is
+ * stored under its own key, so that concurrent decisions do not overwrite
+ * each other.
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} [reviewer] - The reviewer, omitted for the key prefix
+ * @returns {string} The KV key
+ */
+const getDecisionKey = (reviewInfo, reviewer = '') => `${getApprovalsKey(reviewInfo)}:decision:${reviewer}`;
+
+/**
+ * Returns the KV key of the dispatch marker of a review
+ * @param {Object} reviewInfo - Review information object
+ * @returns {string} The KV key
+ */
+const getDispatchKey = (reviewInfo) => `${getApprovalsKey(reviewInfo)}:dispatch`;
+
+/**
+ * Returns the number of approvals required to sign off a review, from the
+ * review metadata or the worker configuration
+ * @param {Object} metadata - The review metadata
+ * @param {Object} env - The environment variables
+ * @returns {number} The number of required approvals
+ */
+const getRequiredApprovals = (metadata, env) => {
+  const required = Number(metadata?.requiredApprovals ?? env.REQUIRED_APPROVALS);
+  return Number.isInteger(required) && required > 0 ? required : 1;
+};
+
+/**
+ * Returns the verified identity a decision is recorded against: the JWT user
+ * or the owner presenting the org token
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} [user] - The verified user of a JWT authenticated request
+ * @returns {string|null} The reviewer, or null if the request has no verified identity
+ */
+const getReviewer = (request, reviewInfo, env, user) => {
+  if (user) return user.email || user.id;
+  return hasOrgToken(request, reviewInfo, env) ? `${reviewInfo.owner} (org token)` : null;
+};
+
+/**
+ * Lists the latest decision of each reviewer of a review
+ * @param {Object} kv - The KV namespace
+ * @param {Object} reviewInfo - Review information object
+ * @returns {Promise<Array<Object>>} The decisions
+ */
+const listDecisions = async (kv, reviewInfo) => {
+  const keys = [];
+  let cursor;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await kv.list({ prefix: getDecisionKey(reviewInfo), cursor });
+    keys.push(...result.keys);
+    cursor = result.list_complete ? undefined : result.cursor;
+  } while (cursor);
+
+  const decisions = await Promise.all(keys.map(({ name }) => kv.get(name, 'json')));
+  return decisions.filter((decision) => decision);
+};
+
+/**
+ * Aggregates the decisions of all reviewers. A review is rejected while any
+ * reviewer's latest decision is a rejection, and approved once it has the
+ * required number of approvals.
+ * @param {Array<Object>} decisions - The latest decision of each reviewer
+ * @param {Object|null} dispatch - The dispatch marker
+ * @param {number} required - The number of required approvals
+ * @returns {Object} The aggregated status
+ */
+const aggregate = (decisions, dispatch, required) => {
+  const sorted = [...decisions].sort((a, b) => a.date.localeCompare(b.date));
+  const approvals = sorted.filter(({ decision }) => decision === 'approve').length;
+  const rejections = sorted.filter(({ decision }) => decision === 'reject').length;
+
+  let status = 'pending';
+  if (rejections > 0) {
+    status = 'rejected';
+  } else if (approvals >= required) {
+    status = 'approved';
+  }
+
+  return {
+    status,
+    approvals,
+    rejections,
+    required,
+    decisions: sorted,
+    dispatched: dispatch?.dispatched,
+  };
+};
+
+/**
+ * Sends a `repository_dispatch` event to the review's repository so the
+ * publishing pipeline can publish the snapshot
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} summary - The aggregated approval status
+ * @param {Object} env - The environment variables
+ * @returns {Promise<void>}
+ */
+const dispatchApproval = async (reviewInfo, summary, env) => {
+  const apiUrl = (env.GITHUB_API_URL || DEFAULT_GITHUB_API_URL).replace(/\/+$/, '');
+  const response = await fetch(`${apiUrl}/repos/${reviewInfo.owner}/${reviewInfo.repo}/dispatches`, {
+    method: 'POST',
+    headers: {
+      accept: 'application/vnd.github+json',
+      authorization: `Bearer ${env.GITHUB_TOKEN}`,
+      'content-type': 'application/json',
+      'user-agent': 'helix-reviews',
+    },
+    body: JSON.stringify({
+      event_type: env.GITHUB_DISPATCH_EVENT || DEFAULT_DISPATCH_EVENT,
+      client_payload: {
+        reviewId: reviewInfo.reviewId,
+        ref: reviewInfo.ref,
+        repo: reviewInfo.repo,
+        owner: reviewInfo.owner,
+        approvals: summary.decisions
+          .filter(({ decision }) => decision === 'approve')
+          .map(({ reviewer, comment, date }) => ({ reviewer, comment, date })),
+      },
+    }),
+  });
+  if (!response.ok) {
+    throw new Error(`repository_dispatch failed (${response.status})`);
+  }
+};
+
+/**
+ * Claims the dispatch of a review by writing a marker and reading it back, so
+ * that concurrent decisions reaching the required approvals dispatch once.
+ * @param {Object} kv - The KV namespace
+ * @param {string} key - The KV key of the dispatch marker
+ * @returns {Promise<boolean>} Whether this request won the claim
+ */
+const claimDispatch = async (kv, key) => {
+  if (await kv.get(key)) return false;
+  const claim = crypto.randomUUID();
+  await kv.put(key, JSON.stringify({ claim }));
+  return (await kv.get(key, 'json'))?.claim === claim;
+};
+
+/**
+ * Reads the comment of a decision from the request body
+ * @param {Request} request - The request
+ * @returns {Promise<Object|null>} The decision comment, or null if the body is invalid
+ */
+const readDecision = async (request) => {
+  let body = {};
+  try {
+    const text = await request.text();
+    body = text ? JSON.parse(text) : {};
+  } catch (e) {
+    return null;
+  }
+  if (!body || typeof body !== 'object'
+    || (body.comment !== undefined && typeof body.comment !== 'string')) {
+    return null;
+  }
+  return {
+    comment: body.comment ? body.comment.substring(0, MAX_COMMENT_LENGTH) : undefined,
+  };
+};
+
+/**
+ * Handles the approval routes:
+ * - `POST /.review/approve` and `POST /.review/reject` record the decision
+ *   of a verified reviewer, a JWT user or the owner's org token, with an
+ *   optional `{ comment }`
+ * - `GET /.review/approvals` returns the aggregated status
+ * Reviews without a password or JWT authentication cannot be approved, and
+ * password reviews, whose only reviewer is the owner's org token, cannot
+ * require more than one approval. When a decision brings the review to the
+ * required number of approvals, a `repository_dispatch` event is sent to the
+ * repository.
+ * @param {Request} request - The original request
+ * @param {URL} url - The request URL
+ * @param {Object} manifest - The snapshot manifest
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} [user] - The verified user of a JWT authenticated request
+ * @returns {Promise<Response>} The API response
+ */
+export const handleApprovals = async (request, url, manifest, reviewInfo, env, user) => {
+  const kv = env.REVIEWS;
+  if (!kv) {
+    return jsonResponse(501, { error: 'Approvals are not enabled' });
+  }
+
+  const dispatchKey = getDispatchKey(reviewInfo);
+  const required = getRequiredApprovals(manifest.metadata, env);
+
+  if (url.pathname === APPROVALS_PATH) {
+    if (request.method !== 'GET') {
+      return jsonResponse(405, { error: 'Method Not Allowed' });
+    }
+    const [decisions, dispatch] = await Promise.all([
+      listDecisions(kv, reviewInfo),
+      kv.get(dispatchKey, 'json'),
+    ]);
+    return jsonResponse(200, aggregate(decisions, dispatch, required));
+  }
+
+  if (request.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method Not Allowed' });
+  }
+  if (!isJwtAuth(manifest.metadata) && !manifest.metadata?.reviewPassword) {
+    return jsonResponse(403, { error: 'Reviews without authentication cannot be approved' });
+  }
+  if (!isJwtAuth(manifest.metadata) && required > 1) {
+    return jsonResponse(409, {
+      error: `Password reviews have a single reviewer and cannot reach ${required} approvals`,
+    });
+  }
+  const reviewer = getReviewer(request, reviewInfo, env, user);
+  if (!reviewer) {
+    return jsonResponse(403, { error: 'Decisions require a verified reviewer' });
+  }
+  const body = await readDecision(request);
+  if (!body) {
+    return jsonResponse(400, { error: 'Invalid decision' });
+  }
+
+  const decision = {
+    reviewer,
+    decision: url.pathname === APPROVE_PATH ? 'approve' : 'reject',
+    comment: body.comment,
+    date: new Date().toISOString(),
+  };
+  await kv.put(getDecisionKey(reviewInfo, encodeURIComponent(reviewer)), JSON.stringify(decision));
+
+  // listing is eventually consistent, so the new decision may not be listed yet
+  const decisions = (await listDecisions(kv, reviewInfo))
+    .filter((listed) => listed.reviewer !== reviewer)
+    .concat(decision);
+  let dispatch = await kv.get(dispatchKey, 'json');
+  let summary = aggregate(decisions, dispatch, required);
+  let dispatchError;
+  if (summary.status === 'approved' && !dispatch) {
+    if (!env.GITHUB_TOKEN) {
+      // eslint-disable-next-line no-console
+      console.log(`No GITHUB_TOKEN configured, not dispatching approval of ${dispatchKey}`);
+    } else if (await claimDispatch(kv, dispatchKey)) {
+      try {
+        await dispatchApproval(reviewInfo, summary, env);
+        dispatch = { dispatched: new Date().toISOString() };
+        await kv.put(dispatchKey, JSON.stringify(dispatch));
+      } catch (e) {
+        dispatchError = e.message;
+        // release the claim so that the next decision retries
+        await kv.delete(dispatchKey);
+        // eslint-disable-next-line no-console
+        console.error(`Unable to dispatch approval of ${dispatchKey}: ${e.message}`);
+      }
+    }
+    summary = aggregate(decisions, dispatch, required);
+  }
+
+  return jsonResponse(200, dispatchError ? { ...summary, dispatchError } : summary);
+};
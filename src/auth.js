@@ -0,0 +1,434 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { parseCookie, stringifySetCookie } from 'cookie';
+import {
+  createSession,
+  createShareToken,
+  getSessionConfig,
+  verifySession,
+  verifyShareToken,
+} from './session.js';
+import { isJwtAuth } from './jwt.js';
+import {
+  clearFailedAttempts,
+  createTooManyAttemptsResponse,
+  getLockout,
+  recordFailedAttempt,
+} from './lockout.js';
+import { escapeHtml, jsonResponse, sha256 } from './utils.js';
+
+// Constants
+export const LOGIN_PATH = '/.auth/login';
+export const LOGOUT_PATH = '/.auth/logout';
+export const SHARE_PATH = '/.auth/share';
+export const SHARE_PARAM = 'share';
+const PASSWORD_COOKIE = 'reviewPassword';
+const SESSION_COOKIE = 'reviewSession';
+const SHARE_COOKIE = 'reviewShare';
+const DEFAULT_SHARE_TTL = 7 * 24 * 60 * 60;
+const MAX_SHARE_TTL = 30 * 24 * 60 * 60;
+
+/**
+ * Returns the org token configured for the review owner, if any
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {string|undefined} The org token
+ */
+export const getOrgToken = (reviewInfo, env) => env[`${reviewInfo.owner}-org-token`];
+
+/**
+ * Returns the secret used to sign share links: the owner's org token if
+ * configured, otherwise the worker's session secret
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {string|undefined} The signing secret
+ */
+const getShareSecret = (reviewInfo, env) => getOrgToken(reviewInfo, env) || env.SESSION_SECRET;
+
+/**
+ * Checks whether the request carries the owner's org token
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {boolean} Whether the org token was presented
+ */
+export const hasOrgToken = (request, reviewInfo, env) => {
+  const orgToken = getOrgToken(reviewInfo, env);
+  return !!orgToken && request.headers.get('authorization') === `token ${orgToken}`;
+};
+
+/**
+ * Ensures a redirect target stays on the review host. Browsers strip control
+ * characters and treat backslashes as slashes, so targets containing them are
+ * rejected before the target is resolved against the review origin.
+ * @param {string} target - The requested redirect target
+ * @param {string} origin - The origin of the review host
+ * @returns {string} A safe, host-relative path
+ */
+const sanitizeRedirect = (target, origin) => {
+  // eslint-disable-next-line no-control-regex
+  if (!target || !target.startsWith('/') || /[\u0000-\u001f\u007f\\]/.test(target)) {
+    return '/';
+  }
+  try {
+    const url = new URL(target, origin);
+    return url.origin === origin ? `${url.pathname}${url.search}${url.hash}` : '/';
+  } catch (e) {
+    return '/';
+  }
+};
+
+/**
+ * Renders the login page containing the password form
+ * @param {string} redirect - The path to return to after a successful login
+ * @param {Object} [options] - Rendering options
+ * @param {string} [options.title] - The page title
+ * @param {string} [options.error] - An error message to display above the form
+ * @param {boolean} [options.script] - Whether to include the external 401 script
+ * @returns {string} The login page HTML
+ */
+const renderLoginPage = (redirect, { title = 'Login', error, script } = {}) => `<html><head><title>${escapeHtml(title)}</title>${
+  script ? '<script src="https://tools.aem.live/tools/snapshot-admin/401.js"></script>' : ''
+}</head><body><h1>${escapeHtml(title)}</h1>${
+  error ? `<p class="error">${escapeHtml(error)}</p>` : ''
+}<form method="post" action="${LOGIN_PATH}">
+<input type="hidden" name="redirect" value="${escapeHtml(redirect)}">
+<label for="password">Review Password</label>
+<input type="password" id="password" name="password" autocomplete="current-password" required autofocus>
+<button type="submit">Log in</button>
+</form></body></html>`;
+
+/**
+ * Whether the legacy password hash cookie is still accepted. Without a
+ * session secret it is the only option, otherwise it is only accepted until
+ * the configured migration deadline.
+ * @param {Object} config - The session configuration
+ * @returns {boolean} Whether the legacy cookie is accepted
+ */
+const acceptsLegacyCookie = (config) => !config.secret || Date.now() < config.legacyUntil;
+
+/**
+ * Creates the 401 response shown to unauthenticated visitors. It embeds the
+ * login form so that it works without the external 401 script. The script
+ * sets the legacy password hash cookie, so it is only included while that
+ * cookie is accepted.
+ * @param {URL} url - The request URL
+ * @param {Object} env - The environment variables
+ * @returns {Response} The unauthorized response
+ */
+export const createUnauthorizedResponse = (url, env) => new Response(
+  renderLoginPage(`${url.pathname}${url.search}`, {
+    title: 'Unauthorized',
+    script: acceptsLegacyCookie(getSessionConfig(env)),
+  }),
+  {
+    status: 401,
+    headers: {
+      'content-type': 'text/html',
+    },
+  },
+);
+
+/**
+ * Creates a `Set-Cookie` header value for a review cookie
+ * @param {string} name - The cookie name
+ * @param {string} value - The cookie value
+ * @param {Object} [options] - Additional cookie attributes
+ * @returns {string} The header value
+ */
+const createCookie = (name, value, options = {}) => stringifySetCookie({
+  name,
+  value,
+  path: '/',
+  httpOnly: true,
+  secure: true,
+  sameSite: 'lax',
+  ...options,
+});
+
+/**
+ * Creates a `Set-Cookie` header value that clears the given cookie
+ * @param {string} name - The cookie name
+ * @returns {string} The header value
+ */
+const clearCookie = (name) => createCookie(name, '', { expires: new Date(0) });
+
+/**
+ * Checks whether a path is the given path prefix or below it, matching whole
+ * path segments only
+ * @param {string} path - The path
+ * @param {string} prefix - The path prefix
+ * @returns {boolean} Whether the path is within the prefix
+ */
+const isWithinPath = (path, prefix) => {
+  const folder = prefix.replace(/\/+$/, '');
+  return !path.split('/').includes('..')
+    && (path === folder || path.startsWith(`${folder}/`));
+};
+
+/**
+ * Checks whether a share token grants access to the requested path. Path
+ * restricted shares limit which snapshot pages can be viewed and deny the
+ * review routes, unless the route only targets pages within the share. The
+ * resources proxied from `.live` are public anyway.
+ * @param {Object} share - The share token payload
+ * @param {Object} options - The request information
+ * @param {string} [options.snapshotPath] - The snapshot path targeted by the request
+ * @param {boolean} [options.reviewRoute] - Whether the request is for a review route
+ * @returns {boolean} Whether the share grants access
+ */
+const shareAllowsPath = (share, { snapshotPath, reviewRoute }) => {
+  if (!share.path) return true;
+  if (snapshotPath) return isWithinPath(snapshotPath, share.path);
+  return !reviewRoute;
+};
+
+/**
+ * Checks if the request is authenticated using a review session, or the
+ * review password hash during the legacy cookie migration window, or a
+ * share link. Reviews using JWT authentication require a verified user
+ * instead of the password.
+ * @param {Object} metadata - The review metadata containing the password
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} [options] - Additional request information
+ * @param {string} [options.snapshotPath] - The snapshot path targeted by the request
+ * @param {boolean} [options.reviewRoute] - Whether the request is for a review route
+ * @param {Object} [options.user] - The verified user of a JWT authenticated request
+ * @returns {Promise<boolean>} Whether the request is authenticated
+ */
+export const checkAuthentication = async (metadata, request, reviewInfo, env, options = {}) => {
+  const jwtAuth = isJwtAuth(metadata);
+  if (!jwtAuth && !metadata?.reviewPassword) return true;
+  if (options.user || hasOrgToken(request, reviewInfo, env)) return true;
+
+  const cookies = parseCookie(request.headers.get('cookie') || '');
+  if (cookies[SHARE_COOKIE]) {
+    const share = await verifyShareToken(
+      cookies[SHARE_COOKIE],
+      reviewInfo,
+      getShareSecret(reviewInfo, env),
+    );
+    if (share && shareAllowsPath(share, options)) return true;
+  }
+  if (jwtAuth) return false;
+
+  const config = getSessionConfig(env);
+  if (config.secret && cookies[SESSION_COOKIE]
+    && await verifySession(cookies[SESSION_COOKIE], reviewInfo, metadata.reviewPassword, config)) {
+    return true;
+  }
+
+  if (!acceptsLegacyCookie(config) || !cookies[PASSWORD_COOKIE]) return false;
+  // the legacy cookie is the password hash, so invalid ones count as guesses
+  // and are limited like logins: locked out clients are refused, but the
+  // review-wide lockout never refuses the correct hash
+  const lockout = await getLockout(request, reviewInfo, env);
+  if (lockout.ip > 0) return false;
+  if (cookies[PASSWORD_COOKIE] === await sha256(metadata.reviewPassword)) return true;
+  await recordFailedAttempt(request, reviewInfo, env);
+  return false;
+};
+
+/**
+ * Creates the `Set-Cookie` header value for a successful login. Issues a
+ * signed session if a session secret is configured, otherwise falls back to
+ * the legacy password hash cookie.
+ * @param {Object} metadata - The review metadata containing the password
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<string>} The header value
+ */
+const createLoginCookie = async (metadata, reviewInfo, env) => {
+  const config = getSessionConfig(env);
+  if (!config.secret) {
+    return createCookie(PASSWORD_COOKIE, await sha256(metadata.reviewPassword));
+  }
+  return createCookie(
+    SESSION_COOKIE,
+    await createSession(reviewInfo, metadata.reviewPassword, config),
+    { maxAge: config.maxAge },
+  );
+};
+
+/**
+ * Handles the login route. GET renders the password form, POST validates
+ * the submitted password, sets the review cookie and redirects back. Too
+ * many failed attempts lock the client out with `429 Too Many Requests`, and
+ * too many on the review answer further wrong passwords with a 429.
+ * @param {Object} metadata - The review metadata containing the password
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Response>} The login response
+ */
+export const handleLogin = async (metadata, request, reviewInfo, env) => {
+  const url = new URL(request.url);
+
+  if (request.method !== 'POST') {
+    const redirect = sanitizeRedirect(url.searchParams.get('redirect'), url.origin);
+    if (!metadata?.reviewPassword) {
+      return new Response(null, { status: 302, headers: { location: redirect } });
+    }
+    return new Response(renderLoginPage(redirect), {
+      headers: {
+        'content-type': 'text/html',
+        'cache-control': 'no-store',
+      },
+    });
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch (e) {
+    return new Response('Bad Request', {
+      status: 400,
+      headers: {
+        'content-type': 'text/plain;charset=UTF-8',
+      },
+    });
+  }
+  const redirect = sanitizeRedirect(form.get('redirect'), url.origin);
+  const password = form.get('password') || '';
+
+  if (!metadata?.reviewPassword) {
+    return new Response(null, { status: 302, headers: { location: redirect } });
+  }
+
+  const lockout = await getLockout(request, reviewInfo, env);
+  if (lockout.ip > 0) {
+    return createTooManyAttemptsResponse(lockout.ip);
+  }
+
+  if (password !== metadata.reviewPassword) {
+    await recordFailedAttempt(request, reviewInfo, env);
+    // the review-wide lockout throttles guesses, but never the correct password
+    if (lockout.review > 0) {
+      return createTooManyAttemptsResponse(lockout.review);
+    }
+    return new Response(renderLoginPage(redirect, { error: 'Invalid password' }), {
+      status: 401,
+      headers: {
+        'content-type': 'text/html',
+        'cache-control': 'no-store',
+      },
+    });
+  }
+
+  await clearFailedAttempts(request, reviewInfo, env);
+  return new Response(null, {
+    status: 302,
+    headers: {
+      location: redirect,
+      'set-cookie': await createLoginCookie(metadata, reviewInfo, env),
+      'cache-control': 'no-store',
+    },
+  });
+};
+
+/**
+ * Handles the logout route by clearing the review cookies
+ * @param {Request} request - The original request
+ * @returns {Response} A redirect response that clears the cookies
+ */
+export const handleLogout = (request) => {
+  const url = new URL(request.url);
+  const headers = new Headers({
+    location: sanitizeRedirect(url.searchParams.get('redirect'), url.origin),
+    'cache-control': 'no-store',
+  });
+  headers.append('set-cookie', clearCookie(SESSION_COOKIE));
+  headers.append('set-cookie', clearCookie(PASSWORD_COOKIE));
+  headers.append('set-cookie', clearCookie(SHARE_COOKIE));
+  return new Response(null, { status: 302, headers });
+};
+
+/**
+ * Handles a request carrying a share link token. A valid token is turned into
+ * a share cookie and the visitor is redirected to the same URL without it.
+ * @param {URL} url - The request URL
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Response>} The redirect or unauthorized response
+ */
+export const handleShareLink = async (url, reviewInfo, env) => {
+  const token = url.searchParams.get(SHARE_PARAM);
+  const location = new URL(url);
+  location.searchParams.delete(SHARE_PARAM);
+
+  const share = await verifyShareToken(token, reviewInfo, getShareSecret(reviewInfo, env));
+  if (!share) {
+    return createUnauthorizedResponse(location, env);
+  }
+
+  const maxAge = share.exp - Math.floor(Date.now() / 1000);
+  return new Response(null, {
+    status: 302,
+    headers: {
+      location: `${location.pathname}${location.search}`,
+      'set-cookie': createCookie(SHARE_COOKIE, token, { maxAge }),
+      'cache-control': 'no-store',
+    },
+  });
+};
+
+/**
+ * Handles the share link endpoint used by snapshot tooling. Requires the
+ * owner's org token and accepts an optional JSON body with `expiresIn`
+ * (seconds) and `path` (path prefix the link is restricted to).
+ * @param {Request} request - The original request
+ * @param {string} hostname - The review hostname
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Response>} A JSON response containing the share URL
+ */
+export const handleShareIssue = async (request, hostname, reviewInfo, env) => {
+  if (request.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method Not Allowed' });
+  }
+  if (!hasOrgToken(request, reviewInfo, env)) {
+    return jsonResponse(401, { error: 'Unauthorized' });
+  }
+
+  let body = {};
+  try {
+    const text = await request.text();
+    body = text ? JSON.parse(text) : {};
+  } catch (e) {
+    return jsonResponse(400, { error: 'Invalid JSON body' });
+  }
+
+  const expiresIn = body.expiresIn === undefined ? DEFAULT_SHARE_TTL : Number(body.expiresIn);
+  if (!Number.isInteger(expiresIn) || expiresIn <= 0 || expiresIn > MAX_SHARE_TTL) {
+    return jsonResponse(400, { error: `expiresIn must be between 1 and ${MAX_SHARE_TTL} seconds` });
+  }
+  if (body.path !== undefined && (typeof body.path !== 'string' || !body.path.startsWith('/'))) {
+    return jsonResponse(400, { error: 'path must start with /' });
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + expiresIn;
+  const token = await createShareToken(
+    reviewInfo,
+    { exp, path: body.path },
+    getShareSecret(reviewInfo, env),
+  );
+  const shareUrl = new URL(`https://${hostname}${body.path || '/'}`);
+  shareUrl.searchParams.set(SHARE_PARAM, token);
+
+  return jsonResponse(200, {
+    url: shareUrl.toString(),
+    expires: new Date(exp * 1000).toISOString(),
+  });
+};
@@ -0,0 +1,154 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { hasOrgToken } from './auth.js';
+import { fetchOrigin } from './origins.js';
+import { jsonResponse } from './utils.js';
+
+// Constants
+export const PURGE_PATH = '/.review/purge';
+const DEFAULT_CACHE_TTL = 60;
+const DEFAULT_CACHE_STALE_TTL = 300;
+const DEFAULT_CACHE_STALE_IF_ERROR_TTL = 24 * 60 * 60;
+const CACHEABLE_STATUS = [200, 404];
+const CACHED_RESOURCES = ['manifest', 'metadata', 'redirects', 'headers', 'index'];
+
+/**
+ * Returns the cache configuration from the environment
+ * @param {Object} env - The environment variables
+ * @returns {Object} The TTL, stale TTL and stale-if-error TTL in seconds
+ */
+const getCacheConfig = (env) => ({
+  ttl: Number(env.CACHE_TTL) || DEFAULT_CACHE_TTL,
+  staleTtl: Number(env.CACHE_STALE_TTL) || DEFAULT_CACHE_STALE_TTL,
+  staleIfErrorTtl: Number(env.CACHE_STALE_IF_ERROR_TTL) || DEFAULT_CACHE_STALE_IF_ERROR_TTL,
+});
+
+/**
+ * Returns the KV key of a cached review resource
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} name - The resource name, one of `CACHED_RESOURCES`
+ * @returns {string} The cache key
+ */
+export const getCacheKey = (reviewInfo, name) => `cache:${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId}/${name}`;
+
+/**
+ * Creates a response from a cache entry
+ * @param {Object} entry - The cache entry
+ * @returns {Response} The response
+ */
+const toResponse = (entry) => new Response(entry.body, {
+  status: entry.status,
+  headers: {
+    'content-type': entry.contentType,
+  },
+});
+
+/**
+ * Fetches a resource from the origin and stores cacheable responses in KV
+ * @param {string} url - The origin URL
+ * @param {Request} request - The origin request
+ * @param {string} key - The cache key
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Response>} The origin response
+ */
+const fetchAndStore = async (url, request, key, env, ctx) => {
+  const response = await fetchOrigin(url, request, env);
+  if (!CACHEABLE_STATUS.includes(response.status)) return response;
+
+  const { ttl, staleTtl, staleIfErrorTtl } = getCacheConfig(env);
+  const entry = {
+    status: response.status,
+    contentType: response.headers.get('content-type') || 'application/json',
+    body: await response.text(),
+    fetched: Date.now(),
+  };
+  const put = env.REVIEWS.put(key, JSON.stringify(entry), {
+    expirationTtl: Math.max(60, ttl + staleTtl + staleIfErrorTtl),
+  });
+  if (ctx) {
+    ctx.waitUntil(put);
+  } else {
+    await put;
+  }
+  return toResponse(entry);
+};
+
+/**
+ * Fetches a review resource through the KV cache. Fresh entries are served
+ * directly, stale entries are served while being revalidated in the
+ * background. Entries up to `CACHE_STALE_IF_ERROR_TTL` seconds past their
+ * stale TTL are served while the origin fails. Without a `REVIEWS` KV binding
+ * the origin is always fetched.
+ * @param {string} url - The origin URL
+ * @param {Request} request - The origin request
+ * @param {string} key - The cache key
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Response>} The cached or origin response
+ */
+export const cachedFetch = async (url, request, key, env, ctx) => {
+  if (!env.REVIEWS) return fetchOrigin(url, request, env);
+
+  const { ttl, staleTtl, staleIfErrorTtl } = getCacheConfig(env);
+  const entry = await env.REVIEWS.get(key, 'json');
+  const age = entry ? (Date.now() - entry.fetched) / 1000 : Infinity;
+
+  if (age < ttl) {
+    return toResponse(entry);
+  }
+  if (age < ttl + staleTtl && ctx) {
+    ctx.waitUntil(fetchAndStore(url, request, key, env, ctx).catch((error) => {
+      // eslint-disable-next-line no-console
+      console.log(`Revalidation of ${key} failed: ${error.message}`);
+    }));
+    return toResponse(entry);
+  }
+
+  const hasFallback = age < ttl + staleTtl + staleIfErrorTtl;
+  try {
+    const response = await fetchAndStore(url, request, key, env, ctx);
+    if (!hasFallback || response.status < 500) return response;
+    // eslint-disable-next-line no-console
+    console.warn(`Serving stale ${key} after origin error (${response.status})`);
+  } catch (error) {
+    if (!hasFallback) throw error;
+    // eslint-disable-next-line no-console
+    console.warn(`Serving stale ${key} after origin error: ${error.message}`);
+  }
+  return toResponse(entry);
+};
+
+/**
+ * Handles the purge endpoint that snapshot publishing calls when a snapshot
+ * changes. Requires the owner's org token.
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Response>} A JSON response listing the purged keys
+ */
+export const handlePurge = async (request, reviewInfo, env) => {
+  if (request.method !== 'POST') {
+    return jsonResponse(405, { error: 'Method Not Allowed' });
+  }
+  if (!hasOrgToken(request, reviewInfo, env)) {
+    return jsonResponse(401, { error: 'Unauthorized' });
+  }
+  if (!env.REVIEWS) {
+    return jsonResponse(200, { purged: [] });
+  }
+
+  const keys = CACHED_RESOURCES.map((name) => getCacheKey(reviewInfo, name));
+  await Promise.all(keys.map((key) => env.REVIEWS.delete(key)));
+  return jsonResponse(200, { purged: keys });
+};
@@ -0,0 +1,305 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isJwtAuth } from './jwt.js';
+import { isTrue, jsonResponse } from './utils.js';
+
+// Constants
+export const COMMENTS_PATH = '/.review/comments';
+export const COMMENTS_SCRIPT_PATH = '/.review/comments.js';
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_AUTHOR_LENGTH = 100;
+
+/**
+ * Client script of the comments overlay. It lists the comments of the current
+ * page and lets reviewers add and resolve comments.
+ */
+const COMMENTS_SCRIPT = `(() => {
+  const api = '${COMMENTS_PATH}';
+  const path = window.location.pathname.replace(/\\.html$/, '');
+  const panel = document.createElement('aside');
+  panel.id = 'review-comments';
+  panel.style.cssText = 'position:fixed;right:16px;bottom:16px;width:320px;max-height:60vh;overflow:auto;'
+    + 'z-index:2147483647;background:#fff;border:1px solid #ccc;border-radius:8px;padding:12px;'
+    + 'font:14px/1.4 sans-serif;box-shadow:0 4px 16px rgba(0,0,0,.2)';
+
+  const request = async (url, options = {}) => {
+    const response = await fetch(url, {
+      ...options,
+      headers: { 'content-type': 'application/json' },
+      credentials: 'same-origin',
+    });
+    if (!response.ok) throw new Error(\`Request failed (\${response.status})\`);
+    return response.status === 204 ? null : response.json();
+  };
+
+  const render = async () => {
+    const { comments } = await request(\`\${api}?path=\${encodeURIComponent(path)}\`);
+    panel.replaceChildren();
+    const title = document.createElement('strong');
+    title.textContent = \`Comments (\${comments.filter((c) => !c.resolved).length} open)\`;
+    panel.append(title);
+    comments.forEach((comment) => {
+      const item = document.createElement('div');
+      item.style.cssText = \`margin:8px 0;padding-top:8px;border-top:1px solid #eee;\${comment.resolved ? 'opacity:.5' : ''}\`;
+      const meta = document.createElement('small');
+      meta.textContent = \`\${comment.author || 'Anonymous'} · \${new Date(comment.created).toLocaleString()}\`;
+      const body = document.createElement('p');
+      body.style.margin = '4px 0';
+      body.textContent = comment.body;
+      item.append(meta, body);
+      if (!comment.resolved) {
+        const resolve = document.createElement('button');
+        resolve.textContent = 'Resolve';
+        resolve.addEventListener('click', async () => {
+          await request(\`\${api}/\${comment.id}/resolve\`, { method: 'POST' });
+          render();
+        });
+        item.append(resolve);
+      }
+      panel.append(item);
+    });
+
+    const form = document.createElement('form');
+    const text = document.createElement('textarea');
+    text.required = true;
+    text.rows = 3;
+    text.style.width = '100%';
+    text.placeholder = 'Add a comment';
+    const submit = document.createElement('button');
+    submit.textContent = 'Comment';
+    form.append(text, submit);
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      await request(api, { method: 'POST', body: JSON.stringify({ path, body: text.value }) });
+      render();
+    });
+    panel.append(form);
+  };
+
+  document.body.append(panel);
+  render().catch((e) => { panel.textContent = e.message; });
+})();
+`;
+
+/**
+ * Returns the KV key prefix of the comments of a review
+ * @param {Object} reviewInfo - Review information object
+ * @returns {string} The key prefix
+ */
+const getCommentsPrefix = (reviewInfo) => `comments:${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId}:`;
+
+/**
+ * Stores a comment in KV. The page path is kept in the key metadata so that
+ * comments can be filtered by page when listing.
+ * @param {Object} kv - The KV namespace
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} comment - The comment
+ * @returns {Promise<void>}
+ */
+const putComment = (kv, reviewInfo, comment) => kv.put(
+  `${getCommentsPrefix(reviewInfo)}${comment.id}`,
+  JSON.stringify(comment),
+  { metadata: { path: comment.path } },
+);
+
+/**
+ * Lists the comments of a review, optionally restricted to a page
+ * @param {Object} kv - The KV namespace
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} [path] - The page path
+ * @returns {Promise<Array<Object>>} The comments ordered by creation time
+ */
+const listComments = async (kv, reviewInfo, path) => {
+  const keys = [];
+  let cursor;
+  do {
+    // eslint-disable-next-line no-await-in-loop
+    const result = await kv.list({ prefix: getCommentsPrefix(reviewInfo), cursor });
+    keys.push(...result.keys.filter(({ metadata }) => !path || metadata?.path === path));
+    cursor = result.list_complete ? undefined : result.cursor;
+  } while (cursor);
+
+  const comments = await Promise.all(keys.map(({ name }) => kv.get(name, 'json')));
+  return comments
+    .filter((comment) => comment)
+    .sort((a, b) => a.created.localeCompare(b.created));
+};
+
+/**
+ * Reads the JSON body of a request
+ * @param {Request} request - The request
+ * @returns {Promise<Object|null>} The parsed body, or null if it is not a JSON object
+ */
+const readBody = async (request) => {
+  try {
+    const body = await request.json();
+    return body && typeof body === 'object' && !Array.isArray(body) ? body : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Validates the text of a comment
+ * @param {*} text - The comment text
+ * @returns {boolean} Whether the text is valid
+ */
+const isValidText = (text) => typeof text === 'string'
+  && text.trim().length > 0
+  && text.length <= MAX_COMMENT_LENGTH;
+
+/**
+ * Checks whether a comment may be edited or deleted by the requester. Comments
+ * of verified users can only be changed by their author, and verified users
+ * can only change their own comments.
+ * @param {Object} comment - The comment
+ * @param {Object} [user] - The verified user of a JWT authenticated request
+ * @returns {boolean} Whether the comment may be changed
+ */
+const canModify = (comment, user) => (user
+  ? comment.authorId === user.id
+  : !comment.authorId);
+
+/**
+ * Checks whether the comments overlay is enabled for a review
+ * @param {Object} metadata - The review metadata
+ * @returns {boolean} Whether the overlay should be injected
+ */
+export const isCommentsOverlayEnabled = (metadata) => isTrue(metadata?.comments);
+
+/**
+ * Returns the HTML that loads the comments overlay
+ * @returns {string} The script tag
+ */
+export const getCommentsOverlayHtml = () => `<script src="${COMMENTS_SCRIPT_PATH}" defer></script>`;
+
+/**
+ * Serves the comments overlay client script
+ * @returns {Response} The script response
+ */
+export const serveCommentsScript = () => new Response(COMMENTS_SCRIPT, {
+  headers: {
+    'content-type': 'text/javascript;charset=UTF-8',
+    'cache-control': 'public, max-age=300',
+  },
+});
+
+/**
+ * Handles the comments API:
+ * - `GET /.review/comments[?path=/page]` lists comments
+ * - `POST /.review/comments` creates a comment from `{ path, body, author }`,
+ *   where a verified user is recorded as the author
+ * - `PATCH /.review/comments/{id}` updates `body` and `resolved`
+ * - `POST /.review/comments/{id}/resolve` resolves a comment
+ * - `DELETE /.review/comments/{id}` deletes a comment
+ *
+ * Comments of verified users can only be updated and deleted by their author.
+ * Reviews without a password or JWT authentication are read-only, so that
+ * public reviews cannot be written to by anyone.
+ * @param {Request} request - The original request
+ * @param {URL} url - The request URL
+ * @param {Object} metadata - The review metadata
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} [user] - The verified user of a JWT authenticated request
+ * @returns {Promise<Response>} The API response
+ */
+export const handleComments = async (request, url, metadata, reviewInfo, env, user) => {
+  const kv = env.REVIEWS;
+  if (!kv) {
+    return jsonResponse(501, { error: 'Comments are not enabled' });
+  }
+
+  const [id, action, ...rest] = url.pathname.substring(COMMENTS_PATH.length + 1).split('/');
+  const { method } = request;
+  if (method !== 'GET' && !isJwtAuth(metadata) && !metadata?.reviewPassword) {
+    return jsonResponse(403, { error: 'Reviews without authentication cannot be commented on' });
+  }
+
+  if (!id) {
+    if (method === 'GET') {
+      const comments = await listComments(kv, reviewInfo, url.searchParams.get('path'));
+      return jsonResponse(200, { comments });
+    }
+    if (method === 'POST') {
+      const body = await readBody(request);
+      if (!body || typeof body.path !== 'string' || !body.path.startsWith('/') || !isValidText(body.body)) {
+        return jsonResponse(400, { error: 'A path and a comment body are required' });
+      }
+      const author = typeof body.author === 'string' ? body.author.substring(0, MAX_AUTHOR_LENGTH) : undefined;
+      const now = new Date().toISOString();
+      const comment = {
+        id: crypto.randomUUID(),
+        path: body.path,
+        body: body.body,
+        author: user ? (user.name || user.email || user.id) : author,
+        authorId: user?.id,
+        created: now,
+        updated: now,
+        resolved: false,
+      };
+      await putComment(kv, reviewInfo, comment);
+      return jsonResponse(201, comment);
+    }
+    return jsonResponse(405, { error: 'Method Not Allowed' });
+  }
+
+  if (rest.length > 0 || (action && action !== 'resolve')) {
+    return jsonResponse(404, { error: 'Not Found' });
+  }
+
+  const key = `${getCommentsPrefix(reviewInfo)}${id}`;
+  const comment = await kv.get(key, 'json');
+  if (!comment) {
+    return jsonResponse(404, { error: 'Comment Not Found' });
+  }
+
+  if (action === 'resolve' || method === 'PATCH') {
+    if (method !== (action ? 'POST' : 'PATCH')) {
+      return jsonResponse(405, { error: 'Method Not Allowed' });
+    }
+    if (!action && !canModify(comment, user)) {
+      return jsonResponse(403, { error: 'Only the author can update this comment' });
+    }
+    const body = action ? { resolved: true } : await readBody(request);
+    if (!body
+      || (body.body !== undefined && !isValidText(body.body))
+      || (body.resolved !== undefined && typeof body.resolved !== 'boolean')) {
+      return jsonResponse(400, { error: 'Invalid comment update' });
+    }
+    const now = new Date().toISOString();
+    const updated = {
+      ...comment,
+      ...(body.body !== undefined ? { body: body.body } : {}),
+      ...(body.resolved !== undefined ? {
+        resolved: body.resolved,
+        resolvedAt: body.resolved ? now : undefined,
+      } : {}),
+      updated: now,
+    };
+    await putComment(kv, reviewInfo, updated);
+    return jsonResponse(200, updated);
+  }
+
+  if (method === 'GET') {
+    return jsonResponse(200, comment);
+  }
+  if (method === 'DELETE') {
+    if (!canModify(comment, user)) {
+      return jsonResponse(403, { error: 'Only the author can delete this comment' });
+    }
+    await kv.delete(key);
+    return new Response(null, { status: 204 });
+  }
+  return jsonResponse(405, { error: 'Method Not Allowed' });
+};
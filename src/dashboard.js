@@ -0,0 +1,78 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Constants
+export const DASHBOARD_PATH = '/.review/';
+
+/**
+ * Renders a table row for a snapshot resource
+ * @param {Object} resource - The manifest resource
+ * @param {string} hostname - The review hostname
+ * @param {Object} origins - The preview and live origins of the review
+ * @returns {string} The table row HTML
+ */
+const renderResource = (resource, hostname, origins) => {
+  const { path } = resource;
+  const link = (origin, label) => `<a href="${escapeHtml(origin)}${escapeHtml(path)}">${label}</a>`;
+  return `<tr>
+<td><code>${escapeHtml(path)}</code></td>
+<td>${escapeHtml(resource.status ?? '')}</td>
+<td>${escapeHtml(resource.lastModified ?? '')}</td>
+<td>${link(`https://${hostname}`, 'Review')} ${link(origins.page, '.page')} ${link(origins.live, '.live')}</td>
+</tr>`;
+};
+
+/**
+ * Renders the review dashboard listing every resource of the snapshot
+ * together with the review metadata
+ * @param {Object} manifest - The snapshot manifest
+ * @param {string} hostname - The review hostname
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} origins - The preview and live origins of the review
+ * @returns {Response} The dashboard response
+ */
+export const renderDashboard = (manifest, hostname, reviewInfo, origins) => {
+  const metadata = manifest.metadata || {};
+  const title = manifest.title || metadata.title || `Review ${reviewInfo.reviewId}`;
+  const description = manifest.description || metadata.description;
+  const resources = manifest.resources || [];
+
+  const html = `<!DOCTYPE html>
+<html><head><title>${escapeHtml(title)}</title>
+<meta name="robots" content="noindex,nofollow">
+</head><body>
+<h1>${escapeHtml(title)}</h1>
+${description ? `<p class="description">${escapeHtml(description)}</p>` : ''}
+<dl>
+<dt>Review</dt><dd><code>${escapeHtml(reviewInfo.reviewId)}</code></dd>
+<dt>Site</dt><dd><code>${escapeHtml(`${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}`)}</code></dd>
+<dt>Password protected</dt><dd>${metadata.reviewPassword ? 'Yes' : 'No'}</dd>
+<dt>Resources</dt><dd>${resources.length}</dd>
+</dl>
+<table>
+<thead><tr><th>Path</th><th>Status</th><th>Last Modified</th><th>Links</th></tr></thead>
+<tbody>
+${resources.map((resource) => renderResource(resource, hostname, origins)).join('\n')}
+</tbody>
+</table>
+</body></html>`;
+
+  return new Response(html, {
+    headers: {
+      'content-type': 'text/html;charset=UTF-8',
+      'cache-control': 'private, no-cache',
+      'x-robots-tag': 'noindex,nofollow',
+    },
+  });
+};
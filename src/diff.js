@@ -0,0 +1,235 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { fetchOrigin } from './origins.js';
+import { escapeHtml } from './utils.js';
+
+// Constants
+export const DIFF_PATH = '/.review/diff';
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]);
+const TAG_REGEXP = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)(?:"[^"]*"|'[^']*'|[^'">])*?(\/?)>/g;
+
+/**
+ * Splits an HTML fragment into its top-level nodes. Whitespace-only text
+ * between elements is dropped.
+ * @param {string} html - The HTML fragment
+ * @returns {Array<string>} The outer HTML of each top-level node
+ */
+const splitNodes = (html) => {
+  const nodes = [];
+  const pushText = (text) => {
+    if (text.trim()) nodes.push(text.trim());
+  };
+
+  let depth = 0;
+  let start = 0;
+  const tags = new RegExp(TAG_REGEXP);
+  let match = tags.exec(html);
+  while (match) {
+    const [tag, closing, name, selfClosing] = match;
+    const isVoid = VOID_ELEMENTS.has(name?.toLowerCase()) || selfClosing === '/';
+    if (!name) {
+      // comments are kept as part of the surrounding node
+    } else if (!closing) {
+      if (depth === 0) {
+        pushText(html.substring(start, match.index));
+        start = match.index;
+      }
+      if (!isVoid) {
+        depth += 1;
+      } else if (depth === 0) {
+        nodes.push(tag);
+        start = tags.lastIndex;
+      }
+    } else if (depth > 0) {
+      depth -= 1;
+      if (depth === 0) {
+        nodes.push(html.substring(start, tags.lastIndex));
+        start = tags.lastIndex;
+      }
+    }
+    match = tags.exec(html);
+  }
+  pushText(html.substring(start));
+  return nodes;
+};
+
+/**
+ * Splits a `.plain.html` document into content blocks: the children of each
+ * section, or the top-level node itself if it is not a section.
+ * @param {string} html - The plain HTML
+ * @returns {Array<string>} The content blocks
+ */
+export const getBlocks = (html) => splitNodes(html).flatMap((node) => (/^<div>/i.test(node)
+  ? splitNodes(node.substring(5, node.length - 6))
+  : [node]));
+
+/**
+ * Computes a block diff between two lists of blocks using their longest
+ * common subsequence
+ * @param {Array<string>} before - The blocks of the live page
+ * @param {Array<string>} after - The blocks of the snapshot page
+ * @returns {Array<Object>} The diff as `{ type, html }` entries, where type is
+ * `unchanged`, `added` or `removed`
+ */
+export const diffBlocks = (before, after) => {
+  const normalize = (block) => block.replace(/\s+/g, ' ');
+  const a = before.map(normalize);
+  const b = after.map(normalize);
+
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i -= 1) {
+    for (let j = b.length - 1; j >= 0; j -= 1) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      diff.push({ type: 'unchanged', html: after[j] });
+      i += 1;
+      j += 1;
+    } else if (j < b.length && (i === a.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+      diff.push({ type: 'added', html: after[j] });
+      j += 1;
+    } else {
+      diff.push({ type: 'removed', html: before[i] });
+      i += 1;
+    }
+  }
+  return diff;
+};
+
+/**
+ * Returns the `.plain.html` path of a page path
+ * @param {string} path - The page path
+ * @returns {string} The plain HTML path
+ */
+const getPlainPath = (path) => (path.endsWith('/') ? `${path}index.plain.html` : `${path}.plain.html`);
+
+/**
+ * Fetches the plain HTML of a page. Missing pages yield an empty document.
+ * Relative media references are made absolute so they render on the review host.
+ * @param {string} origin - The origin including any snapshot prefix
+ * @param {string} path - The page path
+ * @param {Request} request - The request to derive the origin request from
+ * @param {Object} env - The environment variables
+ * @returns {Promise<string>} The plain HTML
+ */
+const fetchPlainHtml = async (origin, path, request, env) => {
+  const plainRequest = new Request(request);
+  plainRequest.headers.set('accept-encoding', 'identity');
+  plainRequest.headers.delete('range');
+
+  const response = await fetchOrigin(`${origin}${getPlainPath(path)}`, plainRequest, env);
+  if (!response.ok) await response.body?.cancel();
+  if (response.status === 404) return '';
+  if (!response.ok) {
+    throw new Error(`Unable to fetch ${path} from ${origin} (${response.status})`);
+  }
+  const folder = path.substring(0, path.lastIndexOf('/') + 1);
+  return (await response.text()).replaceAll('"./media_', `"${origin}${folder}media_`);
+};
+
+/**
+ * Renders the diff page
+ * @param {string} path - The page path
+ * @param {Array<Object>} diff - The block diff
+ * @param {string} hostname - The review hostname
+ * @returns {string} The diff page HTML
+ */
+const renderDiff = (path, diff, hostname) => {
+  const count = (type) => diff.filter((entry) => entry.type === type).length;
+  return `<!DOCTYPE html>
+<html><head><title>Changes to ${escapeHtml(path)}</title>
+<meta name="robots" content="noindex,nofollow">
+<style>
+.diff-block { padding: 0 1em; border-left: 4px solid transparent; }
+.diff-added { background: #e6ffec; border-color: #2da44e; }
+.diff-removed { background: #ffebe9; border-color: #cf222e; text-decoration: line-through; }
+.diff-block img { max-width: 100%; }
+</style>
+</head><body>
+<h1>Changes to <a href="https://${escapeHtml(hostname)}${escapeHtml(path)}"><code>${escapeHtml(path)}</code></a></h1>
+<p class="diff-summary">${count('added')} added, ${count('removed')} removed, ${count('unchanged')} unchanged</p>
+${diff.map(({ type, html }) => `<div class="diff-block diff-${type}">${html}</div>`).join('\n')}
+</body></html>`;
+};
+
+/**
+ * Normalizes the requested diff path. Paths with dot segments, backslashes,
+ * encoded characters or control characters are rejected, as the origin URL
+ * would resolve them outside of the snapshot.
+ * @param {string|null} path - The requested path
+ * @returns {string|null} The normalized path, or null if it is invalid
+ */
+const normalizePath = (path) => {
+  // eslint-disable-next-line no-control-regex
+  if (!path || !path.startsWith('/') || /[\\%\u0000-\u001f\u007f]/.test(path)) return null;
+  const normalized = path.replace(/\/{2,}/g, '/');
+  return normalized.split('/').some((segment) => segment === '.' || segment === '..')
+    ? null
+    : normalized;
+};
+
+/**
+ * Handles the diff route, comparing the snapshot version of a page with the
+ * version that is live today. Only pages of the snapshot can be compared.
+ * @param {URL} url - The request URL
+ * @param {string} hostname - The review hostname
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} manifest - The snapshot manifest
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} [env] - The environment variables
+ * @returns {Promise<Response>} The diff response
+ */
+export const handleDiff = async (
+  url,
+  hostname,
+  reviewInfo,
+  manifest,
+  origins,
+  request,
+  env = {},
+) => {
+  const path = normalizePath(url.searchParams.get('path'));
+  if (!path || !manifest.resources.some((resource) => resource.path === path)) {
+    return new Response('Missing or invalid path parameter', {
+      status: 400,
+      headers: {
+        'content-type': 'text/plain;charset=UTF-8',
+      },
+    });
+  }
+
+  const [snapshot, live] = await Promise.all([
+    fetchPlainHtml(`${origins.page}/.snapshots/${reviewInfo.reviewId}`, path, request, env),
+    fetchPlainHtml(origins.live, path, request, env),
+  ]);
+
+  const diff = diffBlocks(getBlocks(live), getBlocks(snapshot));
+  return new Response(renderDiff(path, diff, hostname), {
+    headers: {
+      'content-type': 'text/html;charset=UTF-8',
+      'cache-control': 'private, no-cache',
+      'x-robots-tag': 'noindex,nofollow',
+    },
+  });
+};
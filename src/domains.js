@@ -0,0 +1,39 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { parseJsonConfig } from './utils.js';
+
+// Constants
+const REVIEW_ORIGIN_REGEXP = /^[a-z0-9-]+--[a-z0-9-]+--[a-z0-9-]+--[a-z0-9-]+$/i;
+
+/**
+ * Returns the KV key of a vanity domain mapping
+ * @param {string} hostname - The vanity domain
+ * @returns {string} The KV key
+ */
+const getDomainKey = (hostname) => `domain:${hostname.toLowerCase()}`;
+
+/**
+ * Resolves a vanity domain to the review it is mapped to, from the
+ * `VANITY_DOMAINS` configuration or the `domain:{hostname}` KV entry
+ * @param {string} hostname - The request hostname
+ * @param {Object} env - The environment variables
+ * @returns {Promise<string|null>} The review as `reviewId--ref--repo--owner`,
+ * or null if the domain is not mapped
+ */
+export const getVanityReview = async (hostname, env) => {
+  const configured = parseJsonConfig(env, 'VANITY_DOMAINS')[hostname.toLowerCase()];
+  const review = configured || (env.REVIEWS ? await env.REVIEWS.get(getDomainKey(hostname)) : null);
+  return typeof review === 'string' && REVIEW_ORIGIN_REGEXP.test(review.trim())
+    ? review.trim()
+    : null;
+};
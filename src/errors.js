@@ -0,0 +1,128 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { escapeHtml } from './utils.js';
+
+// Constants
+const CORRELATION_ID_HEADER = 'x-correlation-id';
+export const REVIEW_NOT_FOUND = 'review_not_found';
+export const MANIFEST_ERROR = 'manifest_error';
+export const UPSTREAM_ERROR = 'upstream_error';
+export const UPSTREAM_TIMEOUT = 'upstream_timeout';
+export const INTERNAL_ERROR = 'internal_error';
+const ERRORS = {
+  [REVIEW_NOT_FOUND]: {
+    status: 404,
+    title: 'Review not found',
+    message: 'This review does not exist. Please check the link or ask the review owner for a new one.',
+  },
+  [MANIFEST_ERROR]: {
+    title: 'Review unavailable',
+    message: 'This review could not be loaded.',
+  },
+  [UPSTREAM_ERROR]: {
+    status: 502,
+    title: 'Review unavailable',
+    message: 'The site of this review is not responding correctly. Please try again later.',
+  },
+  [UPSTREAM_TIMEOUT]: {
+    status: 504,
+    title: 'Review unavailable',
+    message: 'The site of this review took too long to respond. Please try again later.',
+  },
+  [INTERNAL_ERROR]: {
+    status: 500,
+    title: 'Something went wrong',
+    message: 'An unexpected error occurred. Please try again later.',
+  },
+};
+
+/**
+ * Returns the correlation ID of a request: the Cloudflare ray ID if present,
+ * otherwise a new random ID
+ * @param {Request} request - The original request
+ * @returns {string} The correlation ID
+ */
+const getCorrelationId = (request) => request.headers.get('cf-ray') || crypto.randomUUID();
+
+/**
+ * Checks whether an error is an aborted or timed out fetch
+ * @param {Error} error - The error
+ * @returns {boolean} Whether the error is a timeout
+ */
+export const isTimeoutError = (error) => error?.name === 'TimeoutError' || error?.name === 'AbortError';
+
+/**
+ * Checks whether a client prefers an HTML page, i.e. is a browser
+ * @param {Request} request - The original request
+ * @returns {boolean} Whether to respond with HTML
+ */
+const acceptsHtml = (request) => /\btext\/html\b|\bapplication\/xhtml\+xml\b/i
+  .test(request.headers.get('accept') || '');
+
+/**
+ * Renders the HTML error page
+ * @param {Object} body - The error details
+ * @param {string} title - The page title
+ * @returns {string} The error page HTML
+ */
+const renderErrorPage = (body, title) => `<!DOCTYPE html>
+<html><head><title>${escapeHtml(title)}</title>
+<meta name="robots" content="noindex,nofollow">
+</head><body>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(body.message)}</p>
+<p><small>Error ${body.status}${body.reviewId ? ` · Review <code>${escapeHtml(body.reviewId)}</code>` : ''} · Reference <code>${escapeHtml(body.correlationId)}</code></small></p>
+</body></html>`;
+
+/**
+ * Creates an error response: an HTML page for browsers and JSON for API
+ * clients. The error is logged with the correlation ID of the request, which
+ * is also returned in the response, so that reports can be traced in the logs.
+ * @param {Request} request - The original request
+ * @param {string} code - The error code
+ * @param {Object} [options] - The error details
+ * @param {number} [options.status] - The status, if the code has no fixed status
+ * @param {string} [options.reviewId] - The ID of the requested review
+ * @param {Error|string} [options.cause] - The internal cause, only logged
+ * @returns {Response} The error response
+ */
+export const createErrorResponse = (request, code, options = {}) => {
+  const error = ERRORS[code] || ERRORS[INTERNAL_ERROR];
+  const body = {
+    status: error.status || options.status || 500,
+    code,
+    message: error.message,
+    reviewId: options.reviewId,
+    correlationId: getCorrelationId(request),
+  };
+
+  const cause = options.cause?.stack || options.cause;
+  const log = `[${body.correlationId}] ${body.status} ${code} for ${request.method} ${request.url}${cause ? `: ${cause}` : ''}`;
+  if (body.status >= 500) {
+    // eslint-disable-next-line no-console
+    console.error(log);
+  } else {
+    // eslint-disable-next-line no-console
+    console.warn(log);
+  }
+
+  const html = acceptsHtml(request);
+  return new Response(html ? renderErrorPage(body, error.title) : JSON.stringify(body), {
+    status: body.status,
+    headers: {
+      'content-type': html ? 'text/html;charset=UTF-8' : 'application/json',
+      'cache-control': 'no-store',
+      [CORRELATION_ID_HEADER]: body.correlationId,
+    },
+  });
+};
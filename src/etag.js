@@ -0,0 +1,83 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { sha256 } from './utils.js';
+
+// Constants
+const VALIDATOR_HEADERS = ['if-none-match', 'if-modified-since'];
+
+/**
+ * Checks whether a request path is a page, whose response the worker
+ * transforms, rather than an asset that is proxied unmodified
+ * @param {string} pathname - The request path
+ * @returns {boolean} Whether the path is a page
+ */
+export const isPagePath = (pathname) => pathname.endsWith('.html')
+  || !pathname.split('/').pop().includes('.');
+
+/**
+ * Copies the conditional request headers of the client request to an origin
+ * request, so that unmodified assets are revalidated with the origin
+ * @param {Request} request - The client request
+ * @param {Request} originRequest - The mutable origin request
+ * @returns {Request} The origin request
+ */
+export const passValidators = (request, originRequest) => {
+  VALIDATOR_HEADERS.forEach((name) => {
+    const value = request.headers.get(name);
+    if (value) originRequest.headers.set(name, value);
+  });
+  return originRequest;
+};
+
+/**
+ * Checks whether an `if-none-match` header matches an ETag, using the weak
+ * comparison required for `if-none-match`
+ * @param {string|null} header - The `if-none-match` header
+ * @param {string} etag - The current ETag
+ * @returns {boolean} Whether the ETag matches
+ */
+const matchesETag = (header, etag) => {
+  if (!header) return false;
+  if (header.trim() === '*') return true;
+  const opaque = (tag) => tag.trim().replace(/^W\//, '');
+  return header.split(',').some((tag) => opaque(tag) === opaque(etag));
+};
+
+/**
+ * Sets a strong ETag on a transformed page, derived from its content and the
+ * versions of the snapshot manifest and metadata it was rendered with, and
+ * answers matching conditional requests with `304 Not Modified`. The origin's
+ * `last-modified` is dropped, as it does not cover the transformation.
+ * @param {Request} request - The client request
+ * @param {Response} response - The transformed page response
+ * @param {Array<*>} versions - The manifest and metadata the page depends on
+ * @returns {Promise<Response>} The page or a 304 response
+ */
+export const applyETag = async (request, response, versions) => {
+  const body = await response.text();
+  const etag = `"${await sha256([...versions.map((version) => JSON.stringify(version ?? null)), body].join('\n'))}"`;
+
+  const headers = new Headers(response.headers);
+  headers.set('etag', etag);
+  headers.delete('last-modified');
+  headers.delete('content-length');
+  if (matchesETag(request.headers.get('if-none-match'), etag)) {
+    headers.delete('content-type');
+    return new Response(null, { status: 304, headers });
+  }
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  });
+};
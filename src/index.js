@@ -10,10 +10,97 @@
  * governing permissions and limitations under the License.
  */
 
-import { parseCookie } from 'cookie';
+import {
+  LOGIN_PATH,
+  LOGOUT_PATH,
+  SHARE_PARAM,
+  SHARE_PATH,
+  checkAuthentication,
+  createUnauthorizedResponse,
+  getOrgToken,
+  handleLogin,
+  handleLogout,
+  handleShareIssue,
+  handleShareLink,
+} from './auth.js';
+import {
+  PURGE_PATH,
+  cachedFetch,
+  getCacheKey,
+  handlePurge,
+} from './cache.js';
+import {
+  APPROVALS_PATH,
+  APPROVE_PATH,
+  REJECT_PATH,
+  handleApprovals,
+} from './approvals.js';
+import {
+  COMMENTS_PATH,
+  COMMENTS_SCRIPT_PATH,
+  getCommentsOverlayHtml,
+  handleComments,
+  isCommentsOverlayEnabled,
+  serveCommentsScript,
+} from './comments.js';
+import { DASHBOARD_PATH, renderDashboard } from './dashboard.js';
+import { DIFF_PATH, handleDiff } from './diff.js';
+import { getVanityReview } from './domains.js';
+import {
+  INTERNAL_ERROR,
+  MANIFEST_ERROR,
+  REVIEW_NOT_FOUND,
+  UPSTREAM_ERROR,
+  UPSTREAM_TIMEOUT,
+  createErrorResponse,
+  isTimeoutError,
+} from './errors.js';
+import { applyETag, isPagePath, passValidators } from './etag.js';
+import {
+  injectIntoBody,
+  injectIntoHead,
+  isHtmlDocument,
+  isHtmlResponse,
+} from './inject.js';
+import {
+  getLayerReviewInfo,
+  getManifestLayers,
+  getStoredLayers,
+  mergeManifests,
+} from './layers.js';
+import {
+  createBearerUnauthorizedResponse,
+  getAuthenticatedUser,
+  isJwtAuth,
+} from './jwt.js';
+import {
+  EXPIRED_STATE,
+  LOCKED_STATE,
+  createExpiredResponse,
+  createLockedResponse,
+  getReviewState,
+  withReviewState,
+} from './lifecycle.js';
+import { getOriginHosts, rewriteLinks } from './links.js';
+import { rewriteMetaTags } from './metadata.js';
+import { fetchOrigin, getOrigins } from './origins.js';
+import {
+  HEADERS_PATH,
+  REDIRECTS_PATH,
+  applyHeaders,
+  findRedirect,
+} from './redirects.js';
+import { getIndexFolder, handleQueryIndex, isQueryIndex } from './query-index.js';
+import {
+  ROBOTS_PATH,
+  generateRobotsTxt,
+  getRobotsPolicy,
+  getRobotsTag,
+} from './robots.js';
+import { ORIGIN_SITEMAP_PATH, SITEMAP_PATH, generateSitemap } from './sitemap.js';
+import { getToolbarHtml, isToolbarEnabled } from './toolbar.js';
 
 // Constants
-const AEM_DOMAIN = 'aem';
 const DEFAULT_HOSTNAME = 'default--main--aem-boilerplate--adobe.aem.reviews';
 
 /**
@@ -21,25 +108,26 @@ const DEFAULT_HOSTNAME = 'default--main--aem-boilerplate--adobe.aem.reviews';
  */
 
 /**
- * Creates an HTML meta tag with the given name and value
- * @param {string} name - The name attribute of the meta tag
- * @param {string} value - The content attribute of the meta tag
- * @returns {string} The formatted meta tag HTML
+ * Checks whether the worker runs as the production deployment
+ * @param {Object} env - The environment variables
+ * @returns {boolean} Whether this is production
  */
-const createMetaTag = (name, value) => `<meta name="${name}" content="${value}">\n`;
+const isProduction = (env) => env.ENVIRONMENT === 'production';
 
 /**
  * Gets the hostname to determine if it's a reviews domain or needs to use a
- * default or passed in hostname
+ * default or passed in hostname. The `hostname` parameter is ignored in
+ * production.
  * @param {URL} url - The request URL
+ * @param {Object} env - The environment variables
  * @returns {string} The processed hostname
  */
-const getHostname = (url) => {
+const getHostname = (url, env) => {
   const isReviewsDomain = url.hostname.endsWith('.hlx.reviews')
     || url.hostname.endsWith('.aem.reviews');
-  return isReviewsDomain
-    ? url.hostname
-    : (new URLSearchParams(url.search).get('hostname') || DEFAULT_HOSTNAME);
+  if (isReviewsDomain) return url.hostname;
+  const override = isProduction(env) ? null : url.searchParams.get('hostname');
+  return override || DEFAULT_HOSTNAME;
 };
 
 /**
@@ -57,11 +145,23 @@ const extractReviewInfo = (hostname) => {
 };
 
 /**
- * Constructs the base hostname for AEM URLs from review information
- * @param {Object} reviewInfo - Object containing ref, repo, and owner
- * @returns {string} The base hostname including AEM domain
+ * Resolves the review of a request. Vanity domains mapped to a review keep
+ * their own hostname, so that generated URLs stay on the vanity domain.
+ * @param {URL} url - The request URL
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object>} The public `hostname` and the `reviewInfo`
  */
-const getBaseHostname = (reviewInfo) => `${reviewInfo.ref}--${reviewInfo.repo}--${reviewInfo.owner}.${AEM_DOMAIN}`;
+const resolveReview = async (url, env) => {
+  const hostname = getHostname(url, env);
+  if (hostname === url.hostname) {
+    return { hostname, reviewInfo: extractReviewInfo(hostname) };
+  }
+  const vanityReview = await getVanityReview(url.hostname, env);
+  if (vanityReview) {
+    return { hostname: url.hostname, reviewInfo: extractReviewInfo(vanityReview) };
+  }
+  return { hostname, reviewInfo: extractReviewInfo(hostname) };
+};
 
 /**
  * Creates a redirect response for snapshot URLs
@@ -81,126 +181,385 @@ const createSnapshotRedirect = (pathname) => {
 };
 
 /**
- * Generates a robots.txt file for the review site
- * @param {string} hostname - The hostname of the review site
- * @returns {Response} A response containing the robots.txt content
+ * Removes the review password from a manifest response, so that the manifest
+ * can be served to clients
+ * @param {Response} response - The manifest response
+ * @returns {Promise<Response>} The manifest response without secrets
  */
-const generateRobotsTxt = (hostname) => {
-  const robots = `User-agent: *
-Allow: /
-
-Sitemap: https://${hostname}/sitemap.xml`;
-  return new Response(robots, {
-    headers: {
-      'content-type': 'text/plain;charset=UTF-8',
-    },
-  });
+const redactManifest = async (response) => {
+  const text = await response.text();
+  let body = text;
+  try {
+    const manifest = JSON.parse(text);
+    if (manifest?.metadata) {
+      delete manifest.metadata.reviewPassword;
+    }
+    body = JSON.stringify(manifest);
+  } catch (e) {
+    // not a manifest, serve it unchanged
+  }
+  const redacted = new Response(body, response);
+  redacted.headers.delete('content-length');
+  redacted.headers.delete('etag');
+  return redacted;
 };
 
 /**
- * Generates a sitemap.xml for the review site
- * Combines pages from both the manifest and the original site's sitemap
- * @param {string} hostname - The hostname of the review site
- * @param {Array} pages - Array of page paths from the manifest
+ * Fetches the rows of a sheet of the review snapshot. A sheet that cannot be
+ * loaded or parsed yields no rows, so that pages are served without it.
  * @param {Object} reviewInfo - Review information object
- * @returns {Response} A response containing the sitemap XML
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {string} path - The sheet path
+ * @param {string} name - The cache resource name of the sheet
+ * @param {Request} incomingRequest - The incoming request without validators
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Array<Object>>} The sheet rows
  */
-const generateSitemap = async (hostname, pages, reviewInfo, incomingRequest) => {
-  const indexedPages = [];
+const fetchSnapshotSheet = async (reviewInfo, origins, path, name, incomingRequest, env, ctx) => {
+  const sheetRequest = new Request(incomingRequest);
+  sheetRequest.headers.set('accept-encoding', 'identity');
+  sheetRequest.headers.delete('range');
+
+  const sheetUrl = `${origins.page}/.snapshots/${reviewInfo.reviewId}${path}`;
   try {
-    const sitemapRequest = new Request(incomingRequest);
-    sitemapRequest.headers.set('accept-encoding', 'identity');
-
-    const sitemapUrl = `https://${getBaseHostname(reviewInfo)}.page/sitemap.xml`;
-    const sitemapResp = await fetch(sitemapUrl, sitemapRequest);
-    const xml = await sitemapResp.text();
-    const regexp = /<loc>(.*?)<\/loc>/g;
-    const sitemapLocs = [...xml.matchAll(regexp)].map((e) => new URL(e[1]).pathname);
-    indexedPages.push(...sitemapLocs);
+    const sheetResponse = await cachedFetch(
+      sheetUrl,
+      sheetRequest,
+      getCacheKey(reviewInfo, name),
+      env,
+      ctx,
+    );
+    if (sheetResponse.status !== 200) {
+      await sheetResponse.body?.cancel();
+      return [];
+    }
+    const sheet = await sheetResponse.json();
+    return Array.isArray(sheet?.data)
+      ? sheet.data.filter((row) => row && typeof row === 'object')
+      : [];
   } catch (error) {
     // eslint-disable-next-line no-console
-    console.log('No sitemap index found');
+    console.warn(`Unable to load ${path} of review ${reviewInfo.reviewId}: ${error.message}`);
+    return [];
   }
+};
 
-  const allPages = [...new Set([...pages, ...indexedPages])];
-  const urls = allPages.map((path) => `https://${hostname}${path}`);
-
-  const sitemap = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
-    ${urls.map((url) => `<url><loc>${url}</loc></url>`).join('\n')}
-    </urlset>`;
+/**
+ * Fetches the manifest of a snapshot
+ * @param {Object} reviewInfo - Review information object of the snapshot
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {Request} incomingRequest - The incoming request without validators
+ * @param {string} [orgToken] - The org token of the review's owner
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Response>} The manifest response
+ */
+const fetchManifest = (reviewInfo, origins, incomingRequest, orgToken, env, ctx) => {
+  const manifestUrl = `${origins.page}/.snapshots/${reviewInfo.reviewId}/.manifest.json`;
+  const manifestRequest = new Request(incomingRequest);
+  manifestRequest.headers.set('accept-encoding', 'identity');
+  // since we re-use incoming request headers, we don't want to end up fetching partial manifests
+  manifestRequest.headers.delete('range');
+  if (orgToken) {
+    manifestRequest.headers.set('authorization', `token ${orgToken}`);
+  }
 
-  return new Response(sitemap, {
-    headers: {
-      'content-type': 'text/xml;charset=UTF-8',
-    },
-  });
+  return cachedFetch(
+    manifestUrl,
+    manifestRequest,
+    getCacheKey(reviewInfo, 'manifest'),
+    env,
+    ctx,
+  );
 };
 
 /**
- * Rewrites meta tags in the HTML response based on metadata rules
- * @param {Response} response - The original response
- * @param {URL} url - The request URL
+ * Loads the manifest of a review. Composite reviews, defined in KV or by the
+ * `layers` field of the manifest, merge the manifests of their snapshot
+ * layers. Layers without a manifest are skipped, other layer failures fail
+ * the review with their status.
  * @param {Object} reviewInfo - Review information object
- * @returns {string} The modified HTML content
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {Request} incomingRequest - The incoming request without validators
+ * @param {string} [orgToken] - The org token of the review's owner
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Object>} The manifest status and the merged manifest
  */
-const rewriteMetaTags = async (response, url, reviewInfo, incomingRequest) => {
-  if (response.status !== 200) return response.body;
-
-  const metadataRequest = new Request(incomingRequest);
-  metadataRequest.headers.set('accept-encoding', 'identity');
-
-  const metadataUrl = `https://${getBaseHostname(reviewInfo)}.page/.snapshots/${reviewInfo.reviewId}/metadata.json`;
-  const metadataResponse = await fetch(metadataUrl, metadataRequest);
-  const metadata = await metadataResponse.json();
-
-  const html = await response.text();
-  let [headContent] = html.split('</head>');
-  const rules = metadata.data;
-
-  rules.forEach((rule) => {
-    const pattern = rule.URL.replaceAll('**', '.*');
-    const regex = new RegExp(pattern);
-
-    if (regex.test(url.pathname)) {
-      Object.entries(rule).forEach(([key, value]) => {
-        const name = key.toLowerCase();
-        if (name !== 'url' && value) {
-          headContent = headContent
-            .replace(`<meta name="${name}"`, `<meta name="${name}-rewritten"`)
-                        + createMetaTag(name, value);
-        }
-      });
+const loadReview = async (reviewInfo, origins, incomingRequest, orgToken, env, ctx) => {
+  const manifests = new Map();
+  let layers = await getStoredLayers(reviewInfo, env);
+  if (!layers) {
+    const response = await fetchManifest(reviewInfo, origins, incomingRequest, orgToken, env, ctx);
+    if (response.status !== 200) {
+      await response.body?.cancel();
+      return { status: response.status, manifest: {} };
     }
-  });
+    const manifest = await response.json();
+    manifests.set(reviewInfo.reviewId, manifest);
+    layers = getManifestLayers(reviewInfo.reviewId, manifest) || [reviewInfo.reviewId];
+  }
+
+  const loaded = await Promise.all(layers.map(async (reviewId) => {
+    if (manifests.has(reviewId)) {
+      return { reviewId, manifest: manifests.get(reviewId) };
+    }
+    const layerInfo = { ...reviewInfo, reviewId };
+    const response = await fetchManifest(layerInfo, origins, incomingRequest, orgToken, env, ctx);
+    if (response.status !== 200) {
+      await response.body?.cancel();
+    }
+    if (response.status === 404) {
+      // eslint-disable-next-line no-console
+      console.log(`Skipping missing snapshot layer ${reviewId} of ${reviewInfo.reviewId}`);
+      return null;
+    }
+    if (response.status !== 200) {
+      return { reviewId, status: response.status };
+    }
+    return { reviewId, manifest: await response.json() };
+  }));
 
-  return `${headContent}</head>${html.split('</head>')[1]}`;
+  const failed = loaded.find((layer) => layer?.status);
+  if (failed) {
+    return { status: failed.status, manifest: {} };
+  }
+  const found = loaded.filter((layer) => layer);
+  if (found.length === 0) {
+    return { status: 404, manifest: {} };
+  }
+  return { status: 200, manifest: mergeManifests(found) };
 };
 
 /**
- * Checks if the request is authenticated using the review password
- * @param {Object} metadata - The review metadata containing the password
- * @param {Request} request - The original request
- * @param {Object} reviewInfo - Review information object
+ * Handles the requests of a review with a manifest: authentication, the
+ * review routes and content delivery
+ * @param {Request} request - The incoming request
+ * @param {Request} incomingRequest - The incoming request without validators
+ * @param {Object} review - The review: its request `url`, `hostname`,
+ * `reviewInfo`, `origins`, `manifest`, lifecycle `state` and the owner's
+ * `orgToken`
  * @param {Object} env - The environment variables
- * @returns {Promise<boolean>} Whether the request is authenticated
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Response>} The response
  */
-const checkAuthentication = async (metadata, request, reviewInfo, env) => {
-  if (!metadata?.reviewPassword) return true;
-  const authHeader = request.headers.get('authorization');
-  const orgToken = env[`${reviewInfo.owner}-org-token`];
-  if (authHeader === `token ${orgToken}`) return true;
-
-  const cookies = parseCookie(request.headers.get('cookie') || '');
-  const sha256 = async (message) => {
-    const encoder = new TextEncoder();
-    const data = encoder.encode(message);
-    const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-    const hashArray = Array.from(new Uint8Array(hashBuffer));
-    return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
-  };
+const handleReview = async (request, incomingRequest, review, env, ctx) => {
+  const {
+    url, hostname, reviewInfo, origins, manifest, orgToken, state,
+  } = review;
+
+  if (url.pathname === LOGIN_PATH) {
+    return handleLogin(manifest.metadata, request, reviewInfo, env);
+  }
+
+  if (url.pathname === SHARE_PATH) {
+    return handleShareIssue(request, hostname, reviewInfo, env);
+  }
+
+  if (url.searchParams.has(SHARE_PARAM)) {
+    return handleShareLink(url, reviewInfo, env);
+  }
+
+  let { pathname } = url;
+  if (pathname.endsWith('.plain.html')) {
+    [pathname] = pathname.split('.');
+  }
+
+  const pages = manifest.resources.map((e) => e.path);
+  const isPage = isPagePath(url.pathname);
+  const isPageSnapshot = pages.includes(pathname);
+  const isIndex = isQueryIndex(url.pathname) && !isPageSnapshot;
+  const isManifest = url.pathname.endsWith('/.manifest.json');
+  const isReviewRoute = isIndex || isManifest
+    || ((url.pathname === '/.review' || url.pathname.startsWith('/.review/'))
+      && url.pathname !== COMMENTS_SCRIPT_PATH);
+
+  // the snapshot paths a request reveals, checked against path restricted shares
+  let snapshotPath = isPageSnapshot ? pathname : undefined;
+  if (url.pathname === DIFF_PATH) {
+    snapshotPath = url.searchParams.get('path') || undefined;
+  } else if (isIndex) {
+    snapshotPath = getIndexFolder(url.pathname);
+  }
+
+  const user = await getAuthenticatedUser(manifest.metadata, request, env);
+  const isAuthenticated = await checkAuthentication(
+    manifest.metadata,
+    request,
+    reviewInfo,
+    env,
+    {
+      snapshotPath,
+      reviewRoute: isReviewRoute,
+      user,
+    },
+  );
+
+  if (!isAuthenticated) {
+    return isJwtAuth(manifest.metadata)
+      ? createBearerUnauthorizedResponse()
+      : createUnauthorizedResponse(url, env);
+  }
+
+  if (url.pathname === DASHBOARD_PATH || url.pathname === '/.review') {
+    return renderDashboard(manifest, hostname, reviewInfo, origins);
+  }
+
+  if (url.pathname === COMMENTS_SCRIPT_PATH) {
+    return serveCommentsScript();
+  }
+
+  const isComments = url.pathname === COMMENTS_PATH || url.pathname.startsWith(`${COMMENTS_PATH}/`);
+  const isApprovals = [APPROVE_PATH, REJECT_PATH, APPROVALS_PATH].includes(url.pathname);
+  if ((isComments || isApprovals) && state === LOCKED_STATE && request.method !== 'GET') {
+    return createLockedResponse();
+  }
+
+  if (isComments) {
+    return handleComments(request, url, manifest.metadata, reviewInfo, env, user);
+  }
+
+  if (isApprovals) {
+    return handleApprovals(request, url, manifest, reviewInfo, env, user);
+  }
+
+  if (url.pathname === DIFF_PATH) {
+    const diffRequest = new Request(incomingRequest);
+    if (orgToken) {
+      diffRequest.headers.set('authorization', `token ${orgToken}`);
+    }
+    return handleDiff(
+      url,
+      hostname,
+      getLayerReviewInfo(reviewInfo, manifest, url.searchParams.get('path')),
+      manifest,
+      origins,
+      diffRequest,
+      env,
+    );
+  }
+
+  if (isIndex) {
+    const indexRequest = new Request(incomingRequest);
+    if (orgToken) {
+      indexRequest.headers.set('authorization', `token ${orgToken}`);
+    }
+    return handleQueryIndex(url, manifest, origins, indexRequest, reviewInfo, env, ctx);
+  }
+
+  // Apply the redirects and headers sheets of the snapshot
+  const [redirects, headerRules] = await Promise.all([
+    pages.includes(REDIRECTS_PATH)
+      ? fetchSnapshotSheet(
+        getLayerReviewInfo(reviewInfo, manifest, REDIRECTS_PATH),
+        origins,
+        REDIRECTS_PATH,
+        'redirects',
+        incomingRequest,
+        env,
+        ctx,
+      )
+      : [],
+    pages.includes(HEADERS_PATH)
+      ? fetchSnapshotSheet(
+        getLayerReviewInfo(reviewInfo, manifest, HEADERS_PATH),
+        origins,
+        HEADERS_PATH,
+        'headers',
+        incomingRequest,
+        env,
+        ctx,
+      )
+      : [],
+  ]);
+  const redirect = findRedirect(redirects, url);
+  if (redirect) {
+    return applyHeaders(redirect, headerRules, url.pathname);
+  }
+
+  // Handle content request
+
+  if (isPageSnapshot) {
+    const { reviewId } = getLayerReviewInfo(reviewInfo, manifest, pathname);
+    url.pathname = `/.snapshots/${reviewId}${url.pathname}`;
+  }
+
+  const usePreview = isPageSnapshot || isManifest;
+  const originUrl = new URL(`${usePreview ? origins.page : origins.live}${url.pathname}${url.search}`);
+
+  const contentRequest = new Request(originUrl, incomingRequest);
+  if (!isPage) {
+    passValidators(request, contentRequest);
+  }
+  contentRequest.headers.set('x-forwarded-host', contentRequest.headers.get('host'));
+  contentRequest.headers.delete('x-push-invalidation');
+  if (isAuthenticated && orgToken) {
+    contentRequest.headers.set('authorization', `token ${orgToken}`);
+  }
+
+  let contentResponse = await fetchOrigin(originUrl.toString(), contentRequest, env);
+  if (isManifest && contentResponse.ok) {
+    contentResponse = await redactManifest(contentResponse);
+  }
+
+  // Rewrite meta tags if needed
+  let rules;
+  if (contentResponse.status === 200
+    && pages.includes('/metadata.json')
+    && !url.pathname.split('/').pop().includes('.')) {
+    rules = await fetchSnapshotSheet(
+      getLayerReviewInfo(reviewInfo, manifest, '/metadata.json'),
+      origins,
+      '/metadata.json',
+      'metadata',
+      incomingRequest,
+      env,
+      ctx,
+    );
+    contentResponse = rewriteMetaTags(contentResponse, rules, pathname);
+  }
+
+  // Inject the comments overlay into snapshot pages
+  if (isPageSnapshot
+    && isCommentsOverlayEnabled(manifest.metadata)
+    && isHtmlDocument(contentResponse, url.pathname)) {
+    contentResponse = injectIntoHead(contentResponse, getCommentsOverlayHtml());
+  }
 
-  const reviewPasswordHash = await sha256(metadata.reviewPassword);
-  return cookies.reviewPassword === reviewPasswordHash;
+  // Inject the review toolbar into HTML documents
+  if (isToolbarEnabled(manifest.metadata) && isHtmlDocument(contentResponse, url.pathname)) {
+    contentResponse = injectIntoBody(
+      contentResponse,
+      getToolbarHtml(manifest, reviewInfo, pathname),
+    );
+  }
+
+  // Keep navigation inside the review
+  if (isHtmlResponse(contentResponse)) {
+    contentResponse = rewriteLinks(
+      contentResponse,
+      getOriginHosts(reviewInfo, origins, manifest.metadata, env),
+      new URL(request.url).origin,
+    );
+  }
+
+  // Validate transformed pages with their own ETag
+  if (isPage && isHtmlResponse(contentResponse)) {
+    contentResponse = await applyETag(request, contentResponse, [manifest, rules]);
+  }
+
+  const response = new Response(contentResponse.body, contentResponse);
+  applyHeaders(response, headerRules, new URL(request.url).pathname);
+  response.headers.set('x-origin-url', originUrl.toString());
+  const robotsTag = getRobotsTag(getRobotsPolicy(manifest.metadata, env), request, pathname);
+  if (robotsTag) {
+    response.headers.set('x-robots-tag', robotsTag);
+  } else {
+    response.headers.delete('x-robots-tag');
+  }
+
+  return response;
 };
 
 /**
@@ -208,15 +567,17 @@ const checkAuthentication = async (metadata, request, reviewInfo, env) => {
  * Handles routing, authentication, and content delivery for the review system
  * @param {Request} request - The incoming request
  * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
  * @returns {Promise<Response>} The response to send back to the client
  */
-async function handleRequest(request, env) {
+async function handleRequest(request, env, ctx) {
+  let reviewId;
   try {
     const url = new URL(request.url);
 
     const { method, headers } = request;
 
-    // disable conditional requests
+    // origin requests don't use the client's validators, only unmodified assets pass them through
     const m = new Map(headers);
     m.delete('if-none-match');
     m.delete('if-modified-since');
@@ -227,122 +588,83 @@ async function handleRequest(request, env) {
       return createSnapshotRedirect(url.pathname);
     }
 
+    if (url.pathname === LOGOUT_PATH) {
+      return handleLogout(request);
+    }
+
     // Parse hostname and review information
-    const hostname = getHostname(url);
-    const reviewInfo = extractReviewInfo(hostname);
+    const { hostname, reviewInfo } = await resolveReview(url, env);
+    const origins = getOrigins(reviewInfo, hostname, env);
+    ({ reviewId } = reviewInfo);
 
-    // Fetch manifest
-    const manifestUrl = `https://${getBaseHostname(reviewInfo)}.page/.snapshots/${reviewInfo.reviewId}/.manifest.json`;
-    const manifestRequest = new Request(incomingRequest);
-    manifestRequest.headers.set('accept-encoding', 'identity');
-    // since we re-use incoming request headers, we don't want to end up fetching partial manifests
-    manifestRequest.headers.delete('range');
-    if (env[`${reviewInfo.owner}-org-token`]) {
-      manifestRequest.headers.set('authorization', `token ${env[`${reviewInfo.owner}-org-token`]}`);
+    if (url.pathname === PURGE_PATH) {
+      // awaited, so that failures are handled below
+      const response = await handlePurge(request, reviewInfo, env);
+      return response;
     }
 
-    const manifestResponse = await fetch(manifestUrl, manifestRequest);
+    // Fetch manifest
+    const orgToken = getOrgToken(reviewInfo, env);
+    const { status: manifestStatus, manifest } = await loadReview(
+      reviewInfo,
+      origins,
+      incomingRequest,
+      orgToken,
+      env,
+      ctx,
+    );
 
     // Handle 404
-    if (manifestResponse.status === 404) {
-      return new Response('Review Not Found', {
-        status: 404,
-        headers: {
-          'content-type': 'text/plain;charset=UTF-8',
-        },
-      });
+    if (manifestStatus === 404) {
+      return createErrorResponse(request, REVIEW_NOT_FOUND, { reviewId });
     }
 
-    // Handle special routes
-    if (url.pathname === '/sitemap.xml' || url.pathname === '/sitemap-origin.xml') {
-      const manifest = await manifestResponse.json();
-      const manifestPaths = manifest.resources.map((e) => e.path);
-      return generateSitemap(hostname, manifestPaths, reviewInfo, incomingRequest);
+    // Handle expired reviews
+    const state = getReviewState(manifest.metadata);
+    if (manifestStatus === 200 && state === EXPIRED_STATE) {
+      return createExpiredResponse(manifest);
     }
 
-    if (url.pathname === '/robots.txt') {
-      return generateRobotsTxt(hostname);
-    }
-
-    // Check authentication
-    if (manifestResponse.status === 200) {
-      const manifest = await manifestResponse.json();
-      const isAuthenticated = await checkAuthentication(
-        manifest.metadata,
-        request,
-        reviewInfo,
-        env,
-      );
-
-      if (!isAuthenticated) {
-        const unauthorizedHtml = '<html><head><title>Unauthorized</title>'
-          + '<script src="https://tools.aem.live/tools/snapshot-admin/401.js"></script>'
-          + '</head><body><h1>Unauthorized</h1></body>';
-        return new Response(unauthorizedHtml, {
-          status: 401,
-          headers: {
-            'content-type': 'text/html',
-          },
-        });
-      }
-      // Handle content request
-      let { pathname } = url;
-      if (pathname.endsWith('.plain.html')) {
-        [pathname] = pathname.split('.');
-      }
-
-      const pages = manifest.resources.map((e) => e.path);
-      const isPageSnapshot = pages.includes(pathname);
-
-      if (isPageSnapshot) {
-        url.pathname = `/.snapshots/${reviewInfo.reviewId}${url.pathname}`;
-      }
-
-      const baseHostname = getBaseHostname(reviewInfo);
-      if (url.pathname.endsWith('/.manifest.json')) {
-        url.hostname = `${baseHostname}.page`;
-      } else {
-        const subdomain = isPageSnapshot ? 'page' : 'live';
-        url.hostname = `${baseHostname}.${subdomain}`;
-      }
-
-      const contentRequest = new Request(url, incomingRequest);
-      contentRequest.headers.set('x-forwarded-host', contentRequest.headers.get('host'));
-      contentRequest.headers.delete('x-push-invalidation');
-      if (isAuthenticated && env[`${reviewInfo.owner}-org-token`]) {
-        contentRequest.headers.set('authorization', `token ${env[`${reviewInfo.owner}-org-token`]}`);
+    if (manifestStatus === 200) {
+      // Handle special routes
+      if (url.pathname === SITEMAP_PATH || url.pathname === ORIGIN_SITEMAP_PATH) {
+        // awaited, so that failures are handled below
+        const sitemap = await generateSitemap(
+          hostname,
+          manifest.resources,
+          origins.page,
+          incomingRequest,
+          { originOnly: url.pathname === ORIGIN_SITEMAP_PATH },
+          env,
+        );
+        return sitemap;
       }
 
-      const contentResponse = await fetch(url.toString(), contentRequest);
-      let { body } = contentResponse;
-
-      // Rewrite meta tags if needed
-      if (pages.includes('/metadata.json') && !url.pathname.split('/').pop().includes('.')) {
-        body = await rewriteMetaTags(contentResponse, url, reviewInfo, incomingRequest);
+      if (url.pathname === ROBOTS_PATH) {
+        return generateRobotsTxt(hostname, getRobotsPolicy(manifest.metadata, env));
       }
 
-      const response = new Response(body, contentResponse);
-      response.headers.set('x-origin-url', url.toString());
-      response.headers.set('x-robots-tag', 'noindex,nofollow');
-
-      return response;
+      const response = await handleReview(request, incomingRequest, {
+        url, hostname, reviewInfo, origins, manifest, orgToken, state,
+      }, env, ctx);
+      return withReviewState(response, state);
     } else {
-      return new Response(`Manifest Error (${manifestResponse.status})`, {
-        status: manifestResponse.status,
-        headers: {
-          'content-type': 'text/plain;charset=UTF-8',
-        },
+      return createErrorResponse(request, manifestStatus >= 500 ? UPSTREAM_ERROR : MANIFEST_ERROR, {
+        status: manifestStatus,
+        reviewId,
+        cause: `Manifest Error (${manifestStatus})`,
       });
     }
   } catch (error) {
-    // eslint-disable-next-line no-console
-    console.error('Error in handleRequest:', error, error.stack);
-    return new Response(`Internal Server Error: ${error.message}`, { status: 500 });
+    return createErrorResponse(request, isTimeoutError(error) ? UPSTREAM_TIMEOUT : INTERNAL_ERROR, {
+      reviewId,
+      cause: error,
+    });
   }
 }
 
 export default {
-  async fetch(request, env) {
-    return handleRequest(request, env);
+  async fetch(request, env, ctx) {
+    return handleRequest(request, env, ctx);
   },
 };
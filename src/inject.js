@@ -0,0 +1,59 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+/**
+ * Checks whether a response is a successful HTML response
+ * @param {Response} response - The content response
+ * @returns {boolean} Whether the response is HTML
+ */
+export const isHtmlResponse = (response) => response.status === 200
+  && (response.headers.get('content-type') || '').startsWith('text/html');
+
+/**
+ * Checks whether a response is a full HTML document that review features can
+ * be injected into. `.plain.html` fragments are never considered documents.
+ * @param {Response} response - The content response
+ * @param {string} pathname - The request path
+ * @returns {boolean} Whether the response is an HTML document
+ */
+export const isHtmlDocument = (response, pathname) => isHtmlResponse(response)
+  && !pathname.endsWith('.plain.html');
+
+/**
+ * Appends HTML to the end of the head of an HTML response
+ * @param {Response} response - The HTML response
+ * @param {string} html - The HTML to inject
+ * @returns {Response} The transformed response
+ */
+export const injectIntoHead = (response, html) => new HTMLRewriter()
+  .on('head', {
+    element(element) {
+      element.append(html, { html: true });
+    },
+  })
+  .transform(response);
+
+/**
+ * Appends HTML to the end of the body of an HTML response
+ * @param {Response} response - The HTML response
+ * @param {string} html - The HTML to inject
+ * @returns {Response} The transformed response
+ */
+export const injectIntoBody = (response, html) => new HTMLRewriter()
+  .on('body', {
+    element(element) {
+      element.append(html, { html: true });
+    },
+  })
+  .transform(response);
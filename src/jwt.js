@@ -0,0 +1,207 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { parseCookie } from 'cookie';
+import { base64UrlDecode, now, toList } from './utils.js';
+
+// Constants
+const JWT_AUTH_MODE = 'jwt';
+const DEFAULT_JWT_COOKIE = 'reviewToken';
+const DEFAULT_JWKS_CACHE_TTL = 60 * 60;
+const JWKS_REFRESH_INTERVAL = 60;
+const CLOCK_SKEW = 60;
+const ALGORITHMS = {
+  RS256: { key: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+  RS384: { key: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+  RS512: { key: { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' }, verify: { name: 'RSASSA-PKCS1-v1_5' } },
+  ES256: { key: { name: 'ECDSA', namedCurve: 'P-256' }, verify: { name: 'ECDSA', hash: 'SHA-256' } },
+  ES384: { key: { name: 'ECDSA', namedCurve: 'P-384' }, verify: { name: 'ECDSA', hash: 'SHA-384' } },
+};
+
+/**
+ * JWKS documents by URL, cached for the lifetime of the isolate
+ */
+const jwksCache = new Map();
+
+/**
+ * Checks whether a review uses JWT bearer token authentication
+ * @param {Object} metadata - The review metadata
+ * @returns {boolean} Whether JWT authentication is enabled
+ */
+export const isJwtAuth = (metadata) => String(metadata?.authMode || '').toLowerCase() === JWT_AUTH_MODE;
+
+/**
+ * Returns the JWT of a request, from the `authorization` header or the
+ * `JWT_COOKIE` cookie
+ * @param {Request} request - The original request
+ * @param {Object} env - The environment variables
+ * @returns {string|undefined} The JWT
+ */
+const getBearerToken = (request, env) => {
+  const match = (request.headers.get('authorization') || '').match(/^Bearer\s+(\S+)$/i);
+  if (match) return match[1];
+  return parseCookie(request.headers.get('cookie') || '')[env.JWT_COOKIE || DEFAULT_JWT_COOKIE];
+};
+
+/**
+ * Fetches the keys of a JWKS, cached for `JWKS_CACHE_TTL` seconds. The JWKS
+ * is refetched earlier when a token uses an unknown key, to pick up rotated
+ * keys, but at most once per minute.
+ * @param {string} url - The JWKS URL
+ * @param {string} kid - The key ID the token was signed with
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Array<Object>>} The JSON web keys
+ */
+const getJwks = async (url, kid, env) => {
+  const ttl = Number(env.JWKS_CACHE_TTL) || DEFAULT_JWKS_CACHE_TTL;
+  const cached = jwksCache.get(url);
+  const age = cached ? now() - cached.fetched : Infinity;
+  const hasKey = cached?.keys.some((key) => key.kid === kid);
+  if (age < ttl && (hasKey || age < JWKS_REFRESH_INTERVAL)) {
+    return cached.keys;
+  }
+
+  const response = await fetch(url, { headers: { accept: 'application/json' } });
+  if (!response.ok) {
+    throw new Error(`Unable to fetch JWKS from ${url} (${response.status})`);
+  }
+  const { keys = [] } = await response.json();
+  jwksCache.set(url, { keys, fetched: now() });
+  return keys;
+};
+
+/**
+ * Decodes a base64url encoded JSON segment of a JWT
+ * @param {string} segment - The encoded segment
+ * @returns {Object} The decoded JSON
+ */
+const decodeSegment = (segment) => JSON.parse(new TextDecoder().decode(base64UrlDecode(segment)));
+
+/**
+ * Checks the registered claims of a verified JWT against the configured
+ * issuers and audiences
+ * @param {Object} payload - The JWT payload
+ * @param {Object} env - The environment variables
+ * @returns {boolean} Whether the claims are valid
+ */
+const hasValidClaims = (payload, env) => {
+  const time = now();
+  if (typeof payload.exp !== 'number' || payload.exp + CLOCK_SKEW < time) return false;
+  if (typeof payload.nbf === 'number' && payload.nbf - CLOCK_SKEW > time) return false;
+
+  const issuers = toList(env.JWT_ISSUERS);
+  if (issuers.length > 0 && !issuers.includes(payload.iss)) return false;
+
+  const audiences = toList(env.JWT_AUDIENCES);
+  const tokenAudiences = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+  return audiences.length === 0 || tokenAudiences.some((aud) => audiences.includes(aud));
+};
+
+/**
+ * Verifies a JWT against the JWKS configured in `JWT_JWKS_URL`
+ * @param {string} token - The JWT
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object|null>} The payload, or null if the token is invalid
+ */
+const verifyJwt = async (token, env) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3 || !env.JWT_JWKS_URL) return null;
+  const [header, payload, signature] = parts;
+  try {
+    const { alg, kid } = decodeSegment(header);
+    const algorithm = ALGORITHMS[alg];
+    if (!algorithm) return null;
+
+    const keys = await getJwks(env.JWT_JWKS_URL, kid, env);
+    const jwk = keys.find((key) => (kid === undefined || key.kid === kid)
+      && (!key.alg || key.alg === alg)
+      && (!key.use || key.use === 'sig'));
+    if (!jwk) return null;
+
+    const key = await crypto.subtle.importKey('jwk', jwk, algorithm.key, false, ['verify']);
+    const valid = await crypto.subtle.verify(
+      algorithm.verify,
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(`${header}.${payload}`),
+    );
+    if (!valid) return null;
+
+    const claims = decodeSegment(payload);
+    return hasValidClaims(claims, env) ? claims : null;
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Unable to verify JWT: ${e.message}`);
+    return null;
+  }
+};
+
+/**
+ * Checks whether a user is allowed by the email domain and group allowlists
+ * of the review metadata, or of the worker config if the review has none.
+ * Without any allowlist every verified user is allowed.
+ * @param {Object} user - The verified user
+ * @param {Object} metadata - The review metadata
+ * @param {Object} env - The environment variables
+ * @returns {boolean} Whether the user is allowed
+ */
+const isAllowedUser = (user, metadata, env) => {
+  const hasReviewAllowlist = metadata?.allowedDomains || metadata?.allowedGroups;
+  const domains = toList(hasReviewAllowlist ? metadata.allowedDomains : env.JWT_ALLOWED_DOMAINS)
+    .map((domain) => domain.toLowerCase());
+  const groups = toList(hasReviewAllowlist ? metadata.allowedGroups : env.JWT_ALLOWED_GROUPS);
+  if (domains.length === 0 && groups.length === 0) return true;
+
+  const domain = user.email?.split('@').pop().toLowerCase();
+  return (!!domain && domains.includes(domain))
+    || user.groups.some((group) => groups.includes(group));
+};
+
+/**
+ * Returns the verified user of a request to a review using JWT
+ * authentication
+ * @param {Object} metadata - The review metadata
+ * @param {Request} request - The original request
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object|null>} The user's `id`, `email`, `name` and
+ * `groups`, or null if the review does not use JWT authentication or the
+ * request has no valid token for an allowed user
+ */
+export const getAuthenticatedUser = async (metadata, request, env) => {
+  if (!isJwtAuth(metadata)) return null;
+  const token = getBearerToken(request, env);
+  if (!token) return null;
+
+  const claims = await verifyJwt(token, env);
+  if (!claims) return null;
+
+  const user = {
+    id: String(claims.sub || claims.user_id || claims.email || ''),
+    email: typeof claims.email === 'string' ? claims.email : undefined,
+    name: typeof claims.name === 'string' ? claims.name : undefined,
+    groups: toList(claims.groups),
+  };
+  return user.id && isAllowedUser(user, metadata, env) ? user : null;
+};
+
+/**
+ * Creates the 401 response of reviews using JWT authentication
+ * @returns {Response} The unauthorized response
+ */
+export const createBearerUnauthorizedResponse = () => new Response('Unauthorized', {
+  status: 401,
+  headers: {
+    'content-type': 'text/plain;charset=UTF-8',
+    'www-authenticate': 'Bearer realm="review"',
+    'cache-control': 'no-store',
+  },
+});
@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { toList } from './utils.js';
+
+// Constants
+const MAX_LAYERS = 10;
+const SNAPSHOT_ID_REGEXP = /^[a-z0-9-]+$/i;
+
+/**
+ * Returns the KV key of the layers of a composite review
+ * @param {Object} reviewInfo - Review information object
+ * @returns {string} The KV key
+ */
+export const getLayersKey = (reviewInfo) => `layers:${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId}`;
+
+/**
+ * Normalizes a list of snapshot IDs, dropping invalid and duplicate IDs
+ * @param {string|Array<string>} value - A comma separated string or an array
+ * @returns {Array<string>} The snapshot IDs
+ */
+const toSnapshotIds = (value) => [...new Set(toList(value)
+  .filter((id) => SNAPSHOT_ID_REGEXP.test(id)))]
+  .slice(0, MAX_LAYERS);
+
+/**
+ * Returns the snapshot layers of a composite review stored in KV under
+ * `layers:owner/repo/ref/reviewId` as a JSON array of snapshot IDs
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Array<string>|null>} The ordered snapshot IDs, or null if
+ * the review is not a composite review in KV
+ */
+export const getStoredLayers = async (reviewInfo, env) => {
+  if (!env.REVIEWS) return null;
+  const layers = await env.REVIEWS.get(getLayersKey(reviewInfo), 'json');
+  const ids = layers ? toSnapshotIds(layers) : [];
+  return ids.length > 0 ? ids : null;
+};
+
+/**
+ * Returns the snapshot layers declared by the `layers` field of a manifest.
+ * The review's own snapshot is the top layer, followed by the listed ones.
+ * @param {string} reviewId - The review's own snapshot ID
+ * @param {Object} manifest - The review's manifest
+ * @returns {Array<string>|null} The ordered snapshot IDs, or null if the
+ * manifest declares no layers
+ */
+export const getManifestLayers = (reviewId, manifest) => {
+  const layers = toSnapshotIds(manifest.metadata?.layers).filter((id) => id !== reviewId);
+  return layers.length > 0 ? [reviewId, ...layers] : null;
+};
+
+/**
+ * Merges the manifests of the layers of a review. For resources and metadata
+ * fields the first layer that has them wins. Each resource records the
+ * snapshot it is served from.
+ * @param {Array<Object>} layers - The ordered `{ reviewId, manifest }` layers
+ * @returns {Object} The merged manifest
+ */
+export const mergeManifests = (layers) => {
+  const resources = new Map();
+  layers.forEach(({ reviewId, manifest }) => {
+    (manifest.resources || []).forEach((resource) => {
+      if (!resources.has(resource.path)) {
+        resources.set(resource.path, { ...resource, snapshot: reviewId });
+      }
+    });
+  });
+  return {
+    ...layers[0].manifest,
+    metadata: Object.assign({}, ...layers.map(({ manifest }) => manifest.metadata || {}).reverse()),
+    resources: [...resources.values()],
+    layers: layers.map(({ reviewId }) => reviewId),
+  };
+};
+
+/**
+ * Returns the review information of the snapshot layer a path is served from
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} manifest - The merged manifest
+ * @param {string} path - The resource path
+ * @returns {Object} The review information with the layer's snapshot ID, or
+ * the review's own if no layer has the path
+ */
+export const getLayerReviewInfo = (reviewInfo, manifest, path) => {
+  const resource = manifest.resources.find((entry) => entry.path === path);
+  return resource?.snapshot ? { ...reviewInfo, reviewId: resource.snapshot } : reviewInfo;
+};
@@ -0,0 +1,97 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { escapeHtml, isTrue, jsonResponse } from './utils.js';
+
+// Constants
+const DRAFT_STATE = 'draft';
+const OPEN_STATE = 'open';
+export const LOCKED_STATE = 'locked';
+export const EXPIRED_STATE = 'expired';
+const REVIEW_STATE_HEADER = 'x-review-state';
+const LOCKED_VALUES = [LOCKED_STATE, 'closed'];
+
+/**
+ * Parses the expiry of a review, given as a date string or as a Unix
+ * timestamp in seconds or milliseconds
+ * @param {string|number} value - The expiry
+ * @returns {number} The expiry in milliseconds, or NaN if not set or invalid
+ */
+const parseExpiry = (value) => {
+  if (value === undefined || value === null || value === '') return NaN;
+  if (/^\d+$/.test(String(value))) {
+    const timestamp = Number(value);
+    return timestamp < 1e12 ? timestamp * 1000 : timestamp;
+  }
+  return Date.parse(value);
+};
+
+/**
+ * Returns the lifecycle state of a review from its metadata. A review is
+ * expired once its `expires` date has passed, locked if `locked` or `closed`
+ * is set, and otherwise in the `state` it declares, which defaults to open.
+ * @param {Object} metadata - The review metadata
+ * @param {number} [now] - The current time in milliseconds
+ * @returns {string} The review state
+ */
+export const getReviewState = (metadata, now = Date.now()) => {
+  const state = String(metadata?.state || '').trim().toLowerCase();
+  if (state === EXPIRED_STATE || parseExpiry(metadata?.expires) <= now) {
+    return EXPIRED_STATE;
+  }
+  if (LOCKED_VALUES.includes(state) || isTrue(metadata?.locked) || isTrue(metadata?.closed)) {
+    return LOCKED_STATE;
+  }
+  return state === DRAFT_STATE ? DRAFT_STATE : OPEN_STATE;
+};
+
+/**
+ * Adds the review state header to a response
+ * @param {Response} response - The response
+ * @param {string} state - The review state
+ * @returns {Response} The response with the state header
+ */
+export const withReviewState = (response, state) => {
+  const stateResponse = new Response(response.body, response);
+  stateResponse.headers.set(REVIEW_STATE_HEADER, state);
+  return stateResponse;
+};
+
+/**
+ * Creates the `410 Gone` page of an expired review
+ * @param {Object} manifest - The snapshot manifest
+ * @returns {Response} The expired review response
+ */
+export const createExpiredResponse = (manifest) => {
+  const title = manifest.title || manifest.metadata?.title;
+  const html = `<!DOCTYPE html>
+<html><head><title>Review expired</title>
+<meta name="robots" content="noindex,nofollow">
+</head><body>
+<h1>This review has expired</h1>
+<p>${title ? `The review <strong>${escapeHtml(title)}</strong>` : 'This review'} is no longer available. Please ask the review owner for a new link.</p>
+</body></html>`;
+  return new Response(html, {
+    status: 410,
+    headers: {
+      'content-type': 'text/html',
+      'cache-control': 'no-store',
+      [REVIEW_STATE_HEADER]: EXPIRED_STATE,
+    },
+  });
+};
+
+/**
+ * Creates the response for writes to a locked review
+ * @returns {Response} The JSON error response
+ */
+export const createLockedResponse = () => jsonResponse(423, { error: 'Review is locked' });
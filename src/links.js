@@ -0,0 +1,69 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+import { parseJsonConfig } from './utils.js';
+
+/**
+ * Returns the hosts whose links should stay inside the review: the preview
+ * and live hosts of the site, the configured origins and its production
+ * hosts, configured per site in `PRODUCTION_HOSTS` or in the
+ * `productionHosts` review metadata
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {Object} metadata - The review metadata
+ * @param {Object} env - The environment variables
+ * @returns {Set<string>} The lower case hostnames
+ */
+export const getOriginHosts = (reviewInfo, origins, metadata, env) => {
+  const site = `${reviewInfo.ref}--${reviewInfo.repo}--${reviewInfo.owner}`;
+  const productionHosts = parseJsonConfig(env, 'PRODUCTION_HOSTS');
+  const configured = productionHosts[`${reviewInfo.owner}/${reviewInfo.repo}`] || [];
+  const fromMetadata = String(metadata?.productionHosts || '').split(',');
+  return new Set([
+    `${site}.aem.page`,
+    `${site}.aem.live`,
+    `${site}.hlx.page`,
+    `${site}.hlx.live`,
+    new URL(origins.page).hostname,
+    new URL(origins.live).hostname,
+    ...(Array.isArray(configured) ? configured : [configured]),
+    ...fromMetadata,
+  ].map((host) => String(host).trim().toLowerCase()).filter((host) => host));
+};
+
+/**
+ * Rewrites absolute links to the origin hosts in an HTML response, including
+ * `.plain.html` fragments, so that they point to the review host
+ * @param {Response} response - The HTML response
+ * @param {Set<string>} hosts - The origin hosts
+ * @param {string} reviewOrigin - The origin of the review host
+ * @returns {Response} The transformed response
+ */
+export const rewriteLinks = (response, hosts, reviewOrigin) => new HTMLRewriter()
+  .on('a[href], area[href]', {
+    element(element) {
+      const href = element.getAttribute('href');
+      if (!/^(https?:)?\/\//i.test(href)) return;
+      let url;
+      try {
+        url = new URL(href, reviewOrigin);
+      } catch (e) {
+        return;
+      }
+      if (hosts.has(url.hostname.toLowerCase())) {
+        element.setAttribute('href', `${reviewOrigin}${url.pathname}${url.search}${url.hash}`);
+      }
+    },
+  })
+  .transform(response);
@@ -0,0 +1,144 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+// Constants
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_REVIEW_ATTEMPTS = 50;
+const DEFAULT_ATTEMPT_WINDOW = 15 * 60;
+const DEFAULT_LOCKOUT = 30;
+const DEFAULT_MAX_LOCKOUT = 60 * 60;
+
+/**
+ * Returns the lockout configuration from the environment
+ * @param {Object} env - The environment variables
+ * @returns {Object} The attempt limits and durations in seconds
+ */
+const getLockoutConfig = (env) => ({
+  maxAttempts: Number(env.LOGIN_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+  maxReviewAttempts: Number(env.LOGIN_MAX_REVIEW_ATTEMPTS) || DEFAULT_MAX_REVIEW_ATTEMPTS,
+  window: Number(env.LOGIN_ATTEMPT_WINDOW) || DEFAULT_ATTEMPT_WINDOW,
+  lockout: Number(env.LOGIN_LOCKOUT) || DEFAULT_LOCKOUT,
+  maxLockout: Number(env.LOGIN_MAX_LOCKOUT) || DEFAULT_MAX_LOCKOUT,
+});
+
+/**
+ * Returns the IP address of the client
+ * @param {Request} request - The original request
+ * @returns {string} The client IP
+ */
+const getClientIp = (request) => request.headers.get('cf-connecting-ip')
+  || (request.headers.get('x-forwarded-for') || '').split(',')[0].trim()
+  || 'unknown';
+
+/**
+ * Returns the KV keys of the failed attempt counters of a request: one for
+ * the client IP and one for the whole review
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @returns {Object} The `ip` and `review` counter keys
+ */
+const getAttemptKeys = (request, reviewInfo) => {
+  const prefix = `attempts:${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId}`;
+  return {
+    ip: `${prefix}:ip:${getClientIp(request)}`,
+    review: `${prefix}:review`,
+  };
+};
+
+/**
+ * Returns the remaining lockouts of a request's client IP and of the review,
+ * from their failed password attempts. Without a `REVIEWS` KV binding,
+ * attempts are not limited.
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object>} The seconds until the `ip` and `review`
+ * lockouts end, or 0
+ */
+export const getLockout = async (request, reviewInfo, env) => {
+  if (!env.REVIEWS) return { ip: 0, review: 0 };
+  const keys = getAttemptKeys(request, reviewInfo);
+  const [ip, review] = await Promise.all([keys.ip, keys.review].map(async (key) => {
+    const counter = await env.REVIEWS.get(key, 'json');
+    return Math.max(0, Math.ceil(((counter?.lockedUntil || 0) - Date.now()) / 1000));
+  }));
+  return { ip, review };
+};
+
+/**
+ * Records a failed password attempt for the client IP and the review. Once a
+ * counter exceeds its limit, it is locked out with an exponential backoff.
+ * KV has no atomic increment, so parallel attempts may read the same counter
+ * and be counted once: the limits slow guessing down, but are not exact.
+ * Without a `REVIEWS` KV binding, a warning that attempts are not limited is
+ * logged instead.
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<void>}
+ */
+export const recordFailedAttempt = async (request, reviewInfo, env) => {
+  // eslint-disable-next-line no-console
+  console.warn(`Failed password attempt for review ${reviewInfo.owner}/${reviewInfo.repo}/${reviewInfo.ref}/${reviewInfo.reviewId} from ${getClientIp(request)}`);
+  if (!env.REVIEWS) {
+    // eslint-disable-next-line no-console
+    console.warn('Password attempts are not limited: no REVIEWS KV namespace is bound');
+    return;
+  }
+
+  const config = getLockoutConfig(env);
+  const keys = getAttemptKeys(request, reviewInfo);
+  await Promise.all([
+    [keys.ip, config.maxAttempts],
+    [keys.review, config.maxReviewAttempts],
+  ].map(async ([key, maxAttempts]) => {
+    const counter = (await env.REVIEWS.get(key, 'json')) || { failures: 0 };
+    const failures = counter.failures + 1;
+    let { lockedUntil } = counter;
+    let lockout = 0;
+    if (failures >= maxAttempts) {
+      lockout = Math.min(config.maxLockout, config.lockout * 2 ** (failures - maxAttempts));
+      lockedUntil = Date.now() + lockout * 1000;
+      // eslint-disable-next-line no-console
+      console.warn(`Locking ${key} for ${lockout}s after ${failures} failed attempts`);
+    }
+    await env.REVIEWS.put(key, JSON.stringify({ failures, lockedUntil }), {
+      expirationTtl: Math.max(60, config.window + lockout),
+    });
+  }));
+};
+
+/**
+ * Resets the failed attempts of the client IP after a successful login
+ * @param {Request} request - The original request
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @returns {Promise<void>}
+ */
+export const clearFailedAttempts = async (request, reviewInfo, env) => {
+  if (!env.REVIEWS) return;
+  await env.REVIEWS.delete(getAttemptKeys(request, reviewInfo).ip);
+};
+
+/**
+ * Creates the response for locked out password attempts
+ * @param {number} retryAfter - The seconds until the lockout ends
+ * @returns {Response} The 429 response
+ */
+export const createTooManyAttemptsResponse = (retryAfter) => new Response('Too Many Attempts', {
+  status: 429,
+  headers: {
+    'content-type': 'text/plain;charset=UTF-8',
+    'cache-control': 'no-store',
+    'retry-after': String(retryAfter),
+  },
+});
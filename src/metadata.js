@@ -0,0 +1,200 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+import { escapeHtml } from './utils.js';
+
+/**
+ * Metadata keys that update more than one tag, like the AEM pipeline does
+ */
+const DERIVED_TAGS = {
+  title: [['property', 'og:title'], ['name', 'twitter:title']],
+  description: [['name', 'description'], ['property', 'og:description'], ['name', 'twitter:description']],
+  image: [['property', 'og:image'], ['property', 'og:image:secure_url'], ['name', 'twitter:image']],
+  canonical: [['property', 'og:url']],
+};
+
+/**
+ * Creates an HTML meta tag with the given attribute, key and value
+ * @param {string} attribute - The key attribute of the meta tag (`name` or `property`)
+ * @param {string} key - The value of the key attribute
+ * @param {string} value - The content attribute of the meta tag
+ * @returns {string} The formatted meta tag HTML
+ */
+const createMetaTag = (attribute, key, value) => `<meta ${attribute}="${escapeHtml(key)}" content="${escapeHtml(value)}">\n`;
+
+/**
+ * Value that removes a tag, as in the AEM metadata sheet
+ */
+const REMOVE_VALUE = '""';
+
+/**
+ * Escapes all regular expression syntax in a string
+ * @param {string} value - The string to escape
+ * @returns {string} The escaped string
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Converts a metadata URL glob to an anchored regular expression. `**`
+ * matches anything including slashes, `*` matches within a single path
+ * segment and everything else is matched literally.
+ * @param {string} glob - The URL glob
+ * @returns {RegExp} The regular expression
+ */
+export const globToRegExp = (glob) => {
+  const pattern = glob
+    .split('**')
+    .map((part) => part.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`);
+};
+
+/**
+ * Checks whether a sheet URL pattern matches the given path
+ * @param {string} pattern - The URL pattern, either a glob or an exact path
+ * @param {string} pathname - The request path
+ * @returns {boolean} Whether the pattern matches
+ */
+export const matchesPath = (pattern, pathname) => (pattern.includes('*')
+  ? globToRegExp(pattern).test(pathname)
+  : pattern === pathname);
+
+/**
+ * Collects the metadata of all rules matching the given path. Rules are
+ * applied in sheet order with exact path rules applied after glob rules, so
+ * later and more specific rules win. Empty cells are ignored and the value
+ * `""` removes a tag, which is represented by an empty string.
+ * @param {Array<Object>} rules - The metadata rules
+ * @param {string} pathname - The request path
+ * @returns {Map<string, string>} The metadata keyed by lower case name
+ */
+const collectMetadata = (rules, pathname) => {
+  const matching = rules
+    .map((rule) => ({ rule, pattern: String(rule.URL ?? rule.url ?? '').trim() }))
+    .filter(({ pattern }) => pattern && matchesPath(pattern, pathname));
+  const globs = matching.filter(({ pattern }) => pattern.includes('*'));
+  const exact = matching.filter(({ pattern }) => !pattern.includes('*'));
+
+  const metadata = new Map();
+  [...globs, ...exact].forEach(({ rule }) => {
+    Object.entries(rule).forEach(([key, value]) => {
+      const name = key.toLowerCase();
+      if (name === 'url' || value === undefined || value === null) return;
+      const text = String(value).trim();
+      if (text === REMOVE_VALUE) {
+        metadata.set(name, '');
+      } else if (text) {
+        metadata.set(name, text);
+      }
+    });
+  });
+  return metadata;
+};
+
+/**
+ * Maps the collected metadata to the head elements to write. `title` and
+ * `canonical` become the title element and canonical link, `og:` keys
+ * become property tags and everything else becomes name tags.
+ * @param {Map<string, string>} metadata - The collected metadata
+ * @returns {Object} The title, canonical URL and meta tags keyed by `attribute:key`
+ */
+const createHeadElements = (metadata) => {
+  const tags = new Map();
+  const setTag = (attribute, key, value) => tags.set(`${attribute}:${key}`, { attribute, key, value });
+
+  metadata.forEach((value, name) => {
+    (DERIVED_TAGS[name] || []).forEach(([attribute, key]) => setTag(attribute, key, value));
+  });
+  metadata.forEach((value, name) => {
+    if (name === 'title' || name === 'canonical') return;
+    setTag(name.startsWith('og:') ? 'property' : 'name', name, value);
+  });
+
+  return {
+    title: metadata.get('title'),
+    canonical: metadata.get('canonical'),
+    tags,
+  };
+};
+
+/**
+ * Rewrites the head of an HTML response based on metadata rules. Existing
+ * title, meta tags and canonical link are updated in place, missing ones are
+ * appended to the head. Tags whose value is empty are removed. The response
+ * is transformed while streaming.
+ * @param {Response} response - The original response
+ * @param {Array<Object>} rules - The metadata rules from the snapshot `metadata.json`
+ * @param {string} pathname - The request path
+ * @returns {Response} The rewritten response
+ */
+export const rewriteMetaTags = (response, rules, pathname) => {
+  const metadata = collectMetadata(rules, pathname);
+  if (metadata.size === 0) return response;
+  const { title, canonical, tags } = createHeadElements(metadata);
+
+  const written = new Set();
+  let hasTitle = false;
+  let hasCanonical = false;
+
+  return new HTMLRewriter()
+    .on('head title', {
+      element(element) {
+        hasTitle = true;
+        if (title === '') {
+          element.remove();
+        } else if (title) {
+          element.setInnerContent(title);
+        }
+      },
+    })
+    .on('head meta', {
+      element(element) {
+        const property = element.getAttribute('property');
+        const attribute = property ? 'property' : 'name';
+        const key = (property || element.getAttribute('name') || '').toLowerCase();
+        const id = `${attribute}:${key}`;
+        if (!tags.has(id)) return;
+        const { value } = tags.get(id);
+        if (value) {
+          element.setAttribute('content', value);
+        } else {
+          element.remove();
+        }
+        written.add(id);
+      },
+    })
+    .on('head link[rel="canonical"]', {
+      element(element) {
+        hasCanonical = true;
+        if (canonical === '') {
+          element.remove();
+        } else if (canonical) {
+          element.setAttribute('href', canonical);
+        }
+      },
+    })
+    .on('head', {
+      element(element) {
+        element.onEndTag((end) => {
+          let html = '';
+          if (title && !hasTitle) html += `<title>${escapeHtml(title)}</title>\n`;
+          if (canonical && !hasCanonical) html += `<link rel="canonical" href="${escapeHtml(canonical)}">\n`;
+          tags.forEach(({ attribute, key, value }, id) => {
+            if (value && !written.has(id)) html += createMetaTag(attribute, key, value);
+          });
+          end.before(html, { html: true });
+        });
+      },
+    })
+    .transform(response);
+};
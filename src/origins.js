@@ -0,0 +1,151 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { parseJsonConfig } from './utils.js';
+
+// Constants
+const AEM_DOMAIN = 'aem';
+const HLX_DOMAIN = 'hlx';
+const HLX_REVIEWS_SUFFIX = '.hlx.reviews';
+const DEFAULT_ORIGIN_TIMEOUT = 10;
+const DEFAULT_ORIGIN_RETRIES = 2;
+const RETRY_DELAY = 100;
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const RETRYABLE_STATUS = [500, 502, 503, 504];
+
+/**
+ * Expands the `{ref}`, `{repo}` and `{owner}` placeholders of an origin URL
+ * @param {string} template - The origin URL template
+ * @param {Object} reviewInfo - Review information object
+ * @returns {string} The origin URL without trailing slash
+ */
+const expandOrigin = (template, reviewInfo) => template
+  .replace(/\{(ref|repo|owner)\}/g, (match, name) => reviewInfo[name])
+  .replace(/\/+$/, '');
+
+/**
+ * Returns the preview and live origins of a review. By default these are the
+ * `aem.page` and `aem.live` hosts of the site, or `hlx.page` and `hlx.live`
+ * for reviews on `hlx.reviews`. `ORIGIN_DOMAIN` forces the domain, and
+ * `ORIGIN_PAGE_URL` and `ORIGIN_LIVE_URL` replace the origins with URL
+ * templates, e.g. a local fixture origin. `ORIGIN_OVERRIDES` applies the same
+ * settings per `owner/repo` or owner, taking precedence over the environment.
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} hostname - The review hostname
+ * @param {Object} env - The environment variables
+ * @returns {Object} The `page` and `live` origin URLs
+ */
+export const getOrigins = (reviewInfo, hostname, env) => {
+  const overrides = parseJsonConfig(env, 'ORIGIN_OVERRIDES');
+  const override = overrides[`${reviewInfo.owner}/${reviewInfo.repo}`]
+    || overrides[reviewInfo.owner]
+    || {};
+  const domain = override.domain || env.ORIGIN_DOMAIN
+    || (hostname.endsWith(HLX_REVIEWS_SUFFIX) ? HLX_DOMAIN : AEM_DOMAIN);
+  const site = `https://{ref}--{repo}--{owner}.${domain}`;
+  // an overridden domain also overrides the configured origin URLs
+  const urls = override.domain ? {} : { page: env.ORIGIN_PAGE_URL, live: env.ORIGIN_LIVE_URL };
+
+  return {
+    page: expandOrigin(override.page || urls.page || `${site}.page`, reviewInfo),
+    live: expandOrigin(override.live || urls.live || `${site}.live`, reviewInfo),
+  };
+};
+
+/**
+ * Returns the origin fetch configuration from the environment
+ * @param {Object} env - The environment variables
+ * @returns {Object} The timeout in milliseconds and the number of retries
+ */
+const getFetchConfig = (env) => {
+  const retries = Number(env.ORIGIN_RETRIES ?? DEFAULT_ORIGIN_RETRIES);
+  return {
+    timeout: (Number(env.ORIGIN_TIMEOUT) || DEFAULT_ORIGIN_TIMEOUT) * 1000,
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : DEFAULT_ORIGIN_RETRIES,
+  };
+};
+
+/**
+ * Passes the body of an origin response through a stream that clears the
+ * timeout once the body is consumed, so that slow bodies are aborted too
+ * @param {Response} response - The origin response
+ * @param {number} timer - The timeout of the origin request
+ * @returns {Response} The response with the timed body
+ */
+const timeBody = (response, timer) => {
+  if (!response.body) {
+    clearTimeout(timer);
+    return response;
+  }
+  const { readable, writable } = new TransformStream({
+    flush() {
+      clearTimeout(timer);
+    },
+  });
+  response.body.pipeTo(writable).catch(() => clearTimeout(timer));
+  return new Response(readable, response);
+};
+
+/**
+ * Fetches from the origin, retrying with an exponential backoff while
+ * attempts are left
+ * @param {string} url - The origin URL
+ * @param {Request} request - The origin request
+ * @param {Object} config - The origin fetch configuration
+ * @param {number} attemptsLeft - The number of retries left
+ * @returns {Promise<Response>} The origin response
+ */
+const attemptFetch = async (url, request, config, attemptsLeft) => {
+  let reason;
+  const controller = new AbortController();
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException(`Origin did not respond within ${config.timeout}ms`, 'TimeoutError'));
+  }, config.timeout);
+  try {
+    const response = await fetch(url, new Request(request, { signal: controller.signal }));
+    if (attemptsLeft === 0 || !RETRYABLE_STATUS.includes(response.status)) {
+      return timeBody(response, timer);
+    }
+    clearTimeout(timer);
+    await response.body?.cancel();
+    reason = response.status;
+  } catch (error) {
+    clearTimeout(timer);
+    if (attemptsLeft === 0) throw error;
+    reason = error.message;
+  }
+
+  const delay = RETRY_DELAY * 2 ** (config.retries - attemptsLeft);
+  // eslint-disable-next-line no-console
+  console.log(`Retrying ${url} in ${delay}ms after ${reason}`);
+  await new Promise((resolve) => {
+    setTimeout(resolve, delay);
+  });
+  return attemptFetch(url, request, config, attemptsLeft - 1);
+};
+
+/**
+ * Fetches a resource from the origin with a timeout of `ORIGIN_TIMEOUT`
+ * seconds, which also covers reading the body. Idempotent requests that time
+ * out before responding, fail or return a 5xx status are retried up to
+ * `ORIGIN_RETRIES` times. Once the attempts are exhausted, the last response
+ * is returned or the last error is thrown.
+ * @param {string} url - The origin URL
+ * @param {Request} request - The origin request
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Response>} The origin response
+ */
+export const fetchOrigin = (url, request, env) => {
+  const config = getFetchConfig(env);
+  const retries = IDEMPOTENT_METHODS.includes(request.method) ? config.retries : 0;
+  return attemptFetch(url, request, config, retries);
+};
@@ -0,0 +1,374 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/* global HTMLRewriter */
+
+import { getCacheKey } from './cache.js';
+import { fetchOrigin } from './origins.js';
+
+// Constants
+export const QUERY_INDEX_PATH = '/query-index.json';
+const DEFAULT_LIMIT = 1000;
+const ORIGIN_PAGE_LIMIT = 1000;
+const MAX_ORIGIN_PAGES = 50;
+const MAX_CONCURRENT_FETCHES = 6;
+const MAX_PAGE_FETCHES = 100;
+const INDEX_CACHE_TTL = 24 * 60 * 60;
+const DEFAULT_COLUMNS = ['path', 'title', 'description', 'image', 'lastModified'];
+
+/**
+ * Checks whether a path is a query index, either the site's
+ * `/query-index.json` or the index of a folder
+ * @param {string} pathname - The request path
+ * @returns {boolean} Whether the path is a query index
+ */
+export const isQueryIndex = (pathname) => pathname.endsWith(QUERY_INDEX_PATH);
+
+/**
+ * Returns the folder a query index lists the pages of
+ * @param {string} pathname - The query index path
+ * @returns {string} The folder path with a trailing slash
+ */
+export const getIndexFolder = (pathname) => pathname
+  .substring(0, pathname.length - QUERY_INDEX_PATH.length + 1);
+
+/**
+ * Parses a non-negative integer paging parameter
+ * @param {string|null} value - The parameter value
+ * @param {number} fallback - The default value
+ * @returns {number} The parsed value
+ */
+const toInteger = (value, fallback) => {
+  const number = Number.parseInt(value, 10);
+  return Number.isInteger(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * Returns the sheets of a spreadsheet JSON response by name. A single sheet
+ * response is returned as the `default` sheet.
+ * @param {Object} json - The spreadsheet JSON
+ * @returns {Object} The sheets by name
+ */
+const getSheets = (json) => {
+  if (json[':type'] === 'multi-sheet') {
+    return Object.fromEntries((json[':names'] || []).map((name) => [name, json[name]]));
+  }
+  return { default: json };
+};
+
+/**
+ * Fetches all rows of the live query index, following the origin's paging
+ * @param {string} indexUrl - The live index URL
+ * @param {Array<string>} sheets - The requested sheet names
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object|Response>} The spreadsheet type and its complete
+ * sheets, or the origin response if it could not be read
+ */
+const fetchLiveIndex = async (indexUrl, sheets, request, env) => {
+  const result = { type: 'sheet', sheets: {} };
+  for (let page = 0; page < MAX_ORIGIN_PAGES; page += 1) {
+    const url = new URL(indexUrl);
+    url.searchParams.set('offset', String(page * ORIGIN_PAGE_LIMIT));
+    url.searchParams.set('limit', String(ORIGIN_PAGE_LIMIT));
+    sheets.forEach((sheet) => url.searchParams.append('sheet', sheet));
+
+    const indexRequest = new Request(request);
+    indexRequest.headers.set('accept-encoding', 'identity');
+    indexRequest.headers.delete('range');
+    // eslint-disable-next-line no-await-in-loop
+    const response = await fetchOrigin(url.toString(), indexRequest, env);
+    if (response.status === 404 && page === 0) {
+      // eslint-disable-next-line no-await-in-loop
+      await response.body?.cancel();
+      return result;
+    }
+    if (!response.ok) {
+      return response;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const json = await response.json();
+    result.type = json[':type'] || 'sheet';
+    let complete = true;
+    Object.entries(getSheets(json)).forEach(([name, sheet]) => {
+      const target = result.sheets[name] || { data: [], columns: sheet.columns };
+      target.data.push(...(sheet.data || []));
+      result.sheets[name] = target;
+      if ((sheet.offset || 0) + (sheet.data || []).length < (sheet.total || 0)) {
+        complete = false;
+      }
+    });
+    if (complete) break;
+  }
+  return result;
+};
+
+/**
+ * Converts an absolute image URL to a path relative to the site, as the
+ * indexer stores it
+ * @param {string} image - The image URL
+ * @returns {string} The image path
+ */
+const toImagePath = (image) => {
+  try {
+    const url = new URL(image, 'https://localhost');
+    return `${url.pathname}${url.search}`;
+  } catch (e) {
+    return image;
+  }
+};
+
+/**
+ * Extracts the index properties of a snapshot page from its head
+ * @param {Response} response - The page response
+ * @returns {Promise<Object>} The title and the meta tag values by name
+ */
+const extractPageMetadata = async (response) => {
+  const meta = {};
+  let title = '';
+  await new HTMLRewriter()
+    .on('head title', {
+      text(text) {
+        title += text.text;
+      },
+    })
+    .on('head meta', {
+      element(element) {
+        const name = element.getAttribute('name') || element.getAttribute('property');
+        const content = element.getAttribute('content');
+        if (name && content !== null && meta[name] === undefined) {
+          meta[name] = content;
+        }
+      },
+    })
+    .transform(response)
+    .arrayBuffer();
+  return { title: title.trim(), meta };
+};
+
+/**
+ * Creates the index row of a snapshot page for the given columns. Like the
+ * indexer, columns are read from the page's meta tags.
+ * @param {Object} resource - The manifest resource
+ * @param {Object} page - The extracted page metadata
+ * @param {Array<string>} columns - The index columns
+ * @returns {Object} The index row
+ */
+const createRow = (resource, { title, meta }, columns) => {
+  const lastModified = Date.parse(resource.lastModified);
+  const values = {
+    path: resource.path,
+    title: meta['og:title'] || title,
+    description: meta.description,
+    image: meta['og:image'] ? toImagePath(meta['og:image']) : undefined,
+    lastModified: Number.isNaN(lastModified) ? undefined : String(Math.floor(lastModified / 1000)),
+  };
+  return Object.fromEntries(columns.map((column) => [column, values[column] ?? meta[column] ?? '']));
+};
+
+/**
+ * Maps items with an async function, running at most `concurrency` calls at
+ * a time
+ * @param {Array} items - The items
+ * @param {number} concurrency - The maximum number of concurrent calls
+ * @param {Function} fn - The async function
+ * @returns {Promise<Array>} The results in the order of the items
+ */
+const mapConcurrent = async (items, concurrency, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[index] = await fn(items[index]);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  return results;
+};
+
+/**
+ * Fetches a snapshot page and extracts its index properties
+ * @param {Object} resource - The manifest resource
+ * @param {string} snapshotsOrigin - The origin of the snapshots
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Object|null>} The page metadata, `deleted` if the
+ * snapshot removes the page, or null if the page could not be fetched
+ */
+const fetchSnapshotPage = async (resource, snapshotsOrigin, request, env) => {
+  const pageRequest = new Request(request);
+  pageRequest.headers.set('accept-encoding', 'identity');
+  pageRequest.headers.delete('range');
+  const pageUrl = `${snapshotsOrigin}/.snapshots/${resource.snapshot}${resource.path}`;
+  try {
+    const response = await fetchOrigin(pageUrl, pageRequest, env);
+    if (!response.ok) {
+      await response.body?.cancel();
+    }
+    if (response.status === 404) {
+      return { deleted: true };
+    }
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    return { page: await extractPageMetadata(response) };
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.warn(`Unable to index ${resource.path} from snapshot: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Returns the index properties of the snapshot pages covered by an index.
+ * The rows are cached in KV per snapshot and modification date of a page,
+ * so only changed pages are fetched, at most `MAX_PAGE_FETCHES` per request
+ * and `MAX_CONCURRENT_FETCHES` at a time. Pages that are not fetched or fail
+ * are skipped and keep their live row.
+ * @param {Array<Object>} resources - The manifest resources
+ * @param {string} folder - The folder of the index
+ * @param {string} snapshotsOrigin - The origin of the snapshots
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Array<Object>>} The resources with their page metadata,
+ * or `deleted` if the snapshot removes the page
+ */
+const getSnapshotPages = async (
+  resources,
+  folder,
+  snapshotsOrigin,
+  request,
+  reviewInfo,
+  env,
+  ctx,
+) => {
+  const key = getCacheKey(reviewInfo, 'index');
+  const cached = (env.REVIEWS && await env.REVIEWS.get(key, 'json')) || {};
+  const isCached = (resource) => cached[resource.path]?.snapshot === resource.snapshot
+    && cached[resource.path]?.lastModified === resource.lastModified;
+
+  const covered = resources
+    .filter(({ path }) => path.startsWith(folder) && !path.split('/').pop().includes('.'));
+  const missing = covered
+    .filter((resource) => resource.status !== 404 && !isCached(resource))
+    .slice(0, MAX_PAGE_FETCHES);
+  const fetched = await mapConcurrent(missing, MAX_CONCURRENT_FETCHES, async (resource) => {
+    const row = await fetchSnapshotPage(resource, snapshotsOrigin, request, env);
+    if (row) {
+      const { snapshot, lastModified } = resource;
+      cached[resource.path] = { snapshot, lastModified, ...row };
+    }
+    return row;
+  });
+
+  if (env.REVIEWS && fetched.some((row) => row)) {
+    const put = env.REVIEWS.put(key, JSON.stringify(cached), { expirationTtl: INDEX_CACHE_TTL });
+    if (ctx) {
+      ctx.waitUntil(put);
+    } else {
+      await put;
+    }
+  }
+
+  return covered
+    .map((resource) => {
+      if (resource.status === 404) return { resource, deleted: true };
+      return isCached(resource) ? { resource, ...cached[resource.path] } : null;
+    })
+    .filter((row) => row);
+};
+
+/**
+ * Handles query index requests. The live index is merged with the snapshot:
+ * snapshot pages are added or override their live row, and pages deleted in
+ * the snapshot are removed. The `offset`, `limit` and `sheet` parameters are
+ * applied to the merged index, so listings behave as they will after publish.
+ * @param {URL} url - The request URL
+ * @param {Object} manifest - The snapshot manifest
+ * @param {Object} origins - The preview and live origins of the review
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} env - The environment variables
+ * @param {Object} ctx - The execution context
+ * @returns {Promise<Response>} The merged index response
+ */
+export const handleQueryIndex = async (url, manifest, origins, request, reviewInfo, env, ctx) => {
+  const requestedSheets = url.searchParams.getAll('sheet');
+  const offset = toInteger(url.searchParams.get('offset'), 0);
+  const limit = toInteger(url.searchParams.get('limit'), DEFAULT_LIMIT);
+
+  const live = await fetchLiveIndex(`${origins.live}${url.pathname}`, requestedSheets, request, env);
+  if (live instanceof Response) {
+    return live;
+  }
+
+  const folder = getIndexFolder(url.pathname);
+  const pages = await getSnapshotPages(
+    manifest.resources,
+    folder,
+    origins.page,
+    request,
+    reviewInfo,
+    env,
+    ctx,
+  );
+
+  if (Object.keys(live.sheets).length === 0) {
+    live.sheets.default = { data: [], columns: DEFAULT_COLUMNS };
+  }
+  const names = Object.keys(live.sheets);
+  const targetSheet = names.includes('default') ? 'default' : names[0];
+  const indexed = new Set(names.flatMap((name) => live.sheets[name].data.map(({ path }) => path)));
+
+  names.forEach((name) => {
+    const sheet = live.sheets[name];
+    const columns = sheet.columns || (sheet.data[0] ? Object.keys(sheet.data[0]) : DEFAULT_COLUMNS);
+    pages.forEach(({ resource, page, deleted }) => {
+      const index = sheet.data.findIndex((row) => row.path === resource.path);
+      if (deleted) {
+        if (index >= 0) sheet.data.splice(index, 1);
+      } else if (index >= 0) {
+        sheet.data[index] = { ...sheet.data[index], ...createRow(resource, page, columns) };
+      } else if (name === targetSheet && !indexed.has(resource.path)) {
+        sheet.data.push(createRow(resource, page, columns));
+      }
+    });
+    live.sheets[name] = {
+      total: sheet.data.length,
+      offset,
+      limit,
+      data: sheet.data.slice(offset, offset + limit),
+      columns,
+      ':type': 'sheet',
+    };
+  });
+
+  const body = live.type === 'multi-sheet'
+    ? {
+      ...live.sheets,
+      ':version': 3,
+      ':names': names,
+      ':type': 'multi-sheet',
+    }
+    : live.sheets[targetSheet];
+  return new Response(JSON.stringify(body), {
+    headers: {
+      'content-type': 'application/json',
+    },
+  });
+};
@@ -0,0 +1,99 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { matchesPath } from './metadata.js';
+
+// Constants
+export const REDIRECTS_PATH = '/redirects.json';
+export const HEADERS_PATH = '/.helix/headers.json';
+
+/**
+ * Returns a cell of a sheet row, ignoring the case of the column name
+ * @param {Object} row - The sheet row
+ * @param {string} column - The column name
+ * @returns {string} The trimmed cell value
+ */
+const getCell = (row, column) => {
+  const key = Object.keys(row).find((name) => name.toLowerCase() === column);
+  return key ? String(row[key] ?? '').trim() : '';
+};
+
+/**
+ * Returns the path of a redirect source, which may be an absolute URL
+ * @param {string} source - The redirect source
+ * @returns {string} The source path
+ */
+const toSourcePath = (source) => {
+  if (source.startsWith('/')) return source;
+  try {
+    return new URL(source).pathname;
+  } catch (e) {
+    return source;
+  }
+};
+
+/**
+ * Finds the redirect of the snapshot redirects sheet that matches a request
+ * and creates its response. Like AEM, the query string is kept unless the
+ * destination has its own.
+ * @param {Array<Object>} rules - The rows of the redirects sheet
+ * @param {URL} url - The request URL
+ * @returns {Response|null} The redirect response, or null if no redirect matches
+ */
+export const findRedirect = (rules, url) => {
+  const rule = rules.find((row) => {
+    const source = getCell(row, 'source');
+    return source && getCell(row, 'destination') && toSourcePath(source) === url.pathname;
+  });
+  if (!rule) return null;
+
+  const destination = getCell(rule, 'destination');
+  const location = destination.includes('?') ? destination : `${destination}${url.search}`;
+  return new Response('Moved Permanently', {
+    status: 301,
+    headers: {
+      location,
+      'content-type': 'text/plain;charset=UTF-8',
+    },
+  });
+};
+
+/**
+ * Applies the custom headers of the snapshot headers sheet to a response.
+ * Rows apply in sheet order to paths matching their `URL` glob, and an empty
+ * value removes the header. Rows with an invalid header name or value are
+ * skipped, so that the page is served without them.
+ * @param {Response} response - The mutable response
+ * @param {Array<Object>} rules - The rows of the headers sheet
+ * @param {string} pathname - The request path
+ * @returns {Response} The response
+ */
+export const applyHeaders = (response, rules, pathname) => {
+  rules
+    .filter((row) => matchesPath(getCell(row, 'url'), pathname))
+    .forEach((row) => {
+      const key = getCell(row, 'key');
+      const value = getCell(row, 'value');
+      if (!key) return;
+      try {
+        if (value) {
+          response.headers.set(key, value);
+        } else {
+          response.headers.delete(key);
+        }
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn(`Skipping invalid header rule ${JSON.stringify(key)}: ${e.message}`);
+      }
+    });
+  return response;
+};
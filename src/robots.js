@@ -0,0 +1,111 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { isTrue, toList } from './utils.js';
+
+// Constants
+export const ROBOTS_PATH = '/robots.txt';
+const NO_INDEX = 'noindex,nofollow';
+const DEFAULT_AUDIT_AGENTS = [
+  'Screaming Frog SEO Spider',
+  'AhrefsSiteAudit',
+  'SiteAuditBot',
+  'Sitebulb',
+];
+
+/**
+ * Returns the robots policy of a review. Crawlers are disallowed by default.
+ * Setting `robotsAudit` in the review metadata (or `ROBOTS_AUDIT` in the
+ * worker config) allows the SEO audit tools listed in `ROBOTS_AUDIT_AGENTS`,
+ * restricted by the `robotsAllow` and `robotsDisallow` path lists of the
+ * review metadata.
+ * @param {Object} metadata - The review metadata
+ * @param {Object} env - The environment variables
+ * @returns {Object} The allowed agents and their allow and disallow rules
+ */
+export const getRobotsPolicy = (metadata, env) => {
+  const audit = metadata?.robotsAudit !== undefined
+    ? isTrue(metadata.robotsAudit)
+    : isTrue(env.ROBOTS_AUDIT);
+  if (!audit) {
+    return { agents: [], allow: [], disallow: ['/'] };
+  }
+
+  const configuredAgents = toList(env.ROBOTS_AUDIT_AGENTS);
+  const allow = toList(metadata?.robotsAllow);
+  const disallow = toList(metadata?.robotsDisallow);
+  if (allow.length === 0) {
+    allow.push('/');
+  } else if (!allow.includes('/') && !disallow.includes('/')) {
+    disallow.push('/');
+  }
+  return {
+    agents: configuredAgents.length > 0 ? configuredAgents : DEFAULT_AUDIT_AGENTS,
+    allow,
+    disallow,
+  };
+};
+
+/**
+ * Checks whether a path is allowed by the policy rules. As with robots.txt,
+ * the longest matching rule wins and allow wins ties.
+ * @param {Object} policy - The robots policy
+ * @param {string} path - The request path
+ * @returns {boolean} Whether the path is allowed
+ */
+const isPathAllowed = (policy, path) => {
+  const longest = (rules) => Math.max(-1, ...rules
+    .filter((rule) => path.startsWith(rule))
+    .map((rule) => rule.length));
+  return longest(policy.allow) >= longest(policy.disallow);
+};
+
+/**
+ * Returns the `x-robots-tag` for a request, consistent with the robots.txt:
+ * allowed agents on allowed paths get no tag, everyone else `noindex,nofollow`
+ * @param {Object} policy - The robots policy
+ * @param {Request} request - The original request
+ * @param {string} path - The request path
+ * @returns {string|null} The header value, or null if no header should be set
+ */
+export const getRobotsTag = (policy, request, path) => {
+  const userAgent = (request.headers.get('user-agent') || '').toLowerCase();
+  const isAllowedAgent = policy.agents.some((agent) => userAgent.includes(agent.toLowerCase()));
+  return isAllowedAgent && isPathAllowed(policy, path) ? null : NO_INDEX;
+};
+
+/**
+ * Generates a robots.txt file for the review site
+ * @param {string} hostname - The hostname of the review site
+ * @param {Object} policy - The robots policy
+ * @returns {Response} A response containing the robots.txt content
+ */
+export const generateRobotsTxt = (hostname, policy) => {
+  const groups = [];
+  if (policy.agents.length > 0) {
+    groups.push([
+      ...policy.agents.map((agent) => `User-agent: ${agent}`),
+      ...policy.disallow.map((path) => `Disallow: ${path}`),
+      ...policy.allow.map((path) => `Allow: ${path}`),
+    ].join('\n'));
+  }
+  groups.push('User-agent: *\nDisallow: /');
+
+  const robots = `${groups.join('\n\n')}
+
+Sitemap: https://${hostname}/sitemap.xml`;
+  return new Response(robots, {
+    headers: {
+      'content-type': 'text/plain;charset=UTF-8',
+    },
+  });
+};
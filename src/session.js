@@ -0,0 +1,174 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { base64UrlDecode, base64UrlEncode, now } from './utils.js';
+
+// Constants
+const DEFAULT_SESSION_MAX_AGE = 24 * 60 * 60;
+
+/**
+ * Imports a secret as an HMAC-SHA256 key
+ * @param {string} secret - The secret
+ * @returns {Promise<CryptoKey>} The imported key
+ */
+const importKey = (secret) => crypto.subtle.importKey(
+  'raw',
+  new TextEncoder().encode(secret),
+  { name: 'HMAC', hash: 'SHA-256' },
+  false,
+  ['sign', 'verify'],
+);
+
+/**
+ * Signs a payload, producing a `<payload>.<signature>` token
+ * @param {Object} payload - The payload to sign
+ * @param {string} secret - The signing secret
+ * @returns {Promise<string>} The signed token
+ */
+export const signToken = async (payload, secret) => {
+  const body = base64UrlEncode(JSON.stringify(payload));
+  const key = await importKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(body));
+  return `${body}.${base64UrlEncode(signature)}`;
+};
+
+/**
+ * Verifies a token created by `signToken`
+ * @param {string} token - The signed token
+ * @param {string} secret - The signing secret
+ * @returns {Promise<Object|null>} The payload, or null if the signature is invalid
+ */
+export const verifyToken = async (token, secret) => {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 2 || !secret) return null;
+  const [body, signature] = parts;
+  try {
+    const key = await importKey(secret);
+    const valid = await crypto.subtle.verify(
+      'HMAC',
+      key,
+      base64UrlDecode(signature),
+      new TextEncoder().encode(body),
+    );
+    return valid ? JSON.parse(new TextDecoder().decode(base64UrlDecode(body))) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Checks whether a token payload belongs to the given review
+ * @param {Object} payload - The token payload
+ * @param {Object} reviewInfo - Review information object
+ * @returns {boolean} Whether the payload matches the review
+ */
+const matchesReview = (payload, reviewInfo) => payload.rid === reviewInfo.reviewId
+  && payload.ref === reviewInfo.ref
+  && payload.repo === reviewInfo.repo
+  && payload.owner === reviewInfo.owner;
+
+/**
+ * Derives a fingerprint of the review password, so that changing the
+ * password invalidates existing sessions without storing the password.
+ * @param {string} password - The review password
+ * @param {string} secret - The signing secret
+ * @returns {Promise<string>} The password fingerprint
+ */
+const fingerprint = async (password, secret) => {
+  const key = await importKey(secret);
+  const digest = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`pwd:${password}`));
+  return base64UrlEncode(digest).substring(0, 22);
+};
+
+/**
+ * Returns the session configuration from the environment
+ * @param {Object} env - The environment variables
+ * @returns {Object} The session secret, max age (seconds) and legacy cookie deadline (ms)
+ */
+export const getSessionConfig = (env) => ({
+  secret: env.SESSION_SECRET,
+  maxAge: Number(env.SESSION_MAX_AGE) || DEFAULT_SESSION_MAX_AGE,
+  legacyUntil: env.LEGACY_COOKIE_UNTIL ? Date.parse(env.LEGACY_COOKIE_UNTIL) : NaN,
+});
+
+/**
+ * Creates a signed session token bound to the review and its current password
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} password - The current review password
+ * @param {Object} config - The session configuration
+ * @returns {Promise<string>} The session token
+ */
+export const createSession = async (reviewInfo, password, config) => {
+  const iat = now();
+  return signToken({
+    typ: 'session',
+    rid: reviewInfo.reviewId,
+    ref: reviewInfo.ref,
+    repo: reviewInfo.repo,
+    owner: reviewInfo.owner,
+    pwd: await fingerprint(password, config.secret),
+    iat,
+    exp: iat + config.maxAge,
+  }, config.secret);
+};
+
+/**
+ * Verifies a session token against the review and its current password
+ * @param {string} token - The session token
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} password - The current review password
+ * @param {Object} config - The session configuration
+ * @returns {Promise<boolean>} Whether the session is valid
+ */
+export const verifySession = async (token, reviewInfo, password, config) => {
+  const session = await verifyToken(token, config.secret);
+  if (session?.typ !== 'session' || !matchesReview(session, reviewInfo)) return false;
+  const time = now();
+  return session.iat <= time
+    && session.exp > time
+    && session.pwd === await fingerprint(password, config.secret);
+};
+
+/**
+ * Creates a signed share token granting access to the review until it expires
+ * @param {Object} reviewInfo - Review information object
+ * @param {Object} options - Share options
+ * @param {number} options.exp - The expiry as unix time in seconds
+ * @param {string} [options.path] - Optional path prefix the token is restricted to
+ * @param {string} secret - The signing secret
+ * @returns {Promise<string>} The share token
+ */
+export const createShareToken = (reviewInfo, { exp, path }, secret) => signToken({
+  typ: 'share',
+  rid: reviewInfo.reviewId,
+  ref: reviewInfo.ref,
+  repo: reviewInfo.repo,
+  owner: reviewInfo.owner,
+  iat: now(),
+  exp,
+  ...(path ? { path } : {}),
+}, secret);
+
+/**
+ * Verifies a share token for the given review
+ * @param {string} token - The share token
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} secret - The signing secret
+ * @returns {Promise<Object|null>} The share payload, or null if invalid or expired
+ */
+export const verifyShareToken = async (token, reviewInfo, secret) => {
+  const share = await verifyToken(token, secret);
+  if (share?.typ !== 'share' || !matchesReview(share, reviewInfo) || share.exp <= now()) {
+    return null;
+  }
+  return share;
+};
@@ -0,0 +1,209 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { fetchOrigin } from './origins.js';
+import { escapeHtml } from './utils.js';
+
+// Constants
+export const SITEMAP_PATH = '/sitemap.xml';
+export const ORIGIN_SITEMAP_PATH = '/sitemap-origin.xml';
+const MAX_SITEMAP_DEPTH = 2;
+const MAX_SITEMAPS = 50;
+
+/**
+ * Decodes the XML entities of a text value
+ * @param {string} value - The XML text
+ * @returns {string} The decoded text
+ */
+const unescapeXml = (value) => value
+  .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+  .replaceAll('&lt;', '<')
+  .replaceAll('&gt;', '>')
+  .replaceAll('&quot;', '"')
+  .replaceAll('&apos;', '\'')
+  .replaceAll('&amp;', '&')
+  .trim();
+
+/**
+ * Returns the text content of the first child element with the given name
+ * @param {string} xml - The parent element XML
+ * @param {string} name - The child element name
+ * @returns {string|undefined} The decoded text content
+ */
+const getChildText = (xml, name) => {
+  const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+  return match ? unescapeXml(match[1]) : undefined;
+};
+
+/**
+ * Returns the path of a URL, ignoring invalid URLs
+ * @param {string} url - The absolute URL
+ * @returns {string|undefined} The path
+ */
+const toPath = (url) => {
+  try {
+    return new URL(url).pathname;
+  } catch (e) {
+    return undefined;
+  }
+};
+
+/**
+ * Parses a sitemap or sitemap index
+ * @param {string} xml - The sitemap XML
+ * @returns {Object} The child sitemap URLs of an index, and the URL entries
+ * of a sitemap with path, lastmod and hreflang alternates
+ */
+export const parseSitemap = (xml) => {
+  const sitemaps = [...xml.matchAll(/<sitemap>([\s\S]*?)<\/sitemap>/g)]
+    .map(([, entry]) => getChildText(entry, 'loc'))
+    .filter((loc) => loc);
+
+  const urls = [...xml.matchAll(/<url>([\s\S]*?)<\/url>/g)]
+    .map(([, entry]) => ({
+      path: toPath(getChildText(entry, 'loc')),
+      lastmod: getChildText(entry, 'lastmod'),
+      alternates: [...entry.matchAll(/<xhtml:link\s([^>]*?)\/?>/g)]
+        .map(([, attributes]) => {
+          const attribute = (name) => {
+            const match = attributes.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`));
+            return match ? unescapeXml(match[1]) : undefined;
+          };
+          return { hreflang: attribute('hreflang'), path: toPath(attribute('href')) };
+        })
+        .filter(({ hreflang, path }) => hreflang && path),
+    }))
+    .filter(({ path }) => path);
+
+  return { sitemaps, urls };
+};
+
+/**
+ * Fetches the URL entries of the origin sitemap, following sitemap indexes.
+ * Child sitemaps are fetched from the origin using their path.
+ * @param {string} origin - The origin base URL
+ * @param {Request} request - The request to derive origin requests from
+ * @param {Object} env - The environment variables
+ * @returns {Promise<Array<Object>>} The URL entries
+ */
+const fetchOriginUrls = async (origin, request, env) => {
+  const urls = [];
+  let fetched = 0;
+
+  const load = async (path, depth) => {
+    if (fetched >= MAX_SITEMAPS) return;
+    fetched += 1;
+    const sitemapRequest = new Request(request);
+    sitemapRequest.headers.set('accept-encoding', 'identity');
+    sitemapRequest.headers.delete('range');
+
+    const response = await fetchOrigin(`${origin}${path}`, sitemapRequest, env);
+    if (!response.ok) {
+      await response.body?.cancel();
+      // eslint-disable-next-line no-console
+      console.log(`No sitemap found at ${path} (${response.status})`);
+      return;
+    }
+    const sitemap = parseSitemap(await response.text());
+    urls.push(...sitemap.urls);
+    if (depth < MAX_SITEMAP_DEPTH) {
+      const children = sitemap.sitemaps.map(toPath).filter((child) => child);
+      await Promise.all(children.map((child) => load(child, depth + 1)));
+    }
+  };
+
+  try {
+    await load(SITEMAP_PATH, 0);
+  } catch (error) {
+    // eslint-disable-next-line no-console
+    console.log('No sitemap index found');
+  }
+  return urls;
+};
+
+/**
+ * Converts a manifest timestamp to a sitemap lastmod value
+ * @param {string|number} value - The timestamp
+ * @returns {string|undefined} The ISO timestamp
+ */
+const toLastmod = (value) => {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date.toISOString() : undefined;
+};
+
+/**
+ * Renders a sitemap URL entry for the review host
+ * @param {string} hostname - The review hostname
+ * @param {Object} entry - The URL entry
+ * @returns {string} The URL element XML
+ */
+const renderUrl = (hostname, { path, lastmod, alternates = [] }) => {
+  const url = (p) => escapeHtml(`https://${hostname}${p}`);
+  return `<url><loc>${url(path)}</loc>${
+    lastmod ? `<lastmod>${escapeHtml(lastmod)}</lastmod>` : ''
+  }${
+    alternates.map(({ hreflang, path: alternate }) => `<xhtml:link rel="alternate" hreflang="${escapeHtml(hreflang)}" href="${url(alternate)}"/>`).join('')
+  }</url>`;
+};
+
+/**
+ * Generates a sitemap for the review site. `/sitemap.xml` lists the snapshot
+ * pages with their last modification from the manifest, followed by the pages
+ * of the origin site. `/sitemap-origin.xml` only lists the origin site pages.
+ * All URLs, including hreflang alternates, are rewritten to the review host.
+ * @param {string} hostname - The hostname of the review site
+ * @param {Array<Object>} resources - The resources from the manifest
+ * @param {string} origin - The origin base URL to fetch the site's sitemap from
+ * @param {Request} incomingRequest - The incoming request without validators
+ * @param {Object} [options] - Sitemap options
+ * @param {boolean} [options.originOnly] - Whether to only list the origin pages
+ * @param {Object} [env] - The environment variables
+ * @returns {Promise<Response>} A response containing the sitemap XML
+ */
+export const generateSitemap = async (
+  hostname,
+  resources,
+  origin,
+  incomingRequest,
+  options = {},
+  env = {},
+) => {
+  const entries = new Map();
+  if (!options.originOnly) {
+    resources
+      .filter(({ path }) => !path.split('/').pop().includes('.'))
+      .forEach(({ path, lastModified }) => {
+        entries.set(path, { path, lastmod: toLastmod(lastModified), alternates: [] });
+      });
+  }
+
+  const originUrls = await fetchOriginUrls(origin, incomingRequest, env);
+  originUrls.forEach((url) => {
+    const entry = entries.get(url.path);
+    if (!entry) {
+      entries.set(url.path, url);
+    } else if (entry.alternates.length === 0) {
+      entry.alternates = url.alternates;
+    }
+  });
+
+  const sitemap = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${[...entries.values()].map((entry) => renderUrl(hostname, entry)).join('\n')}
+</urlset>`;
+
+  return new Response(sitemap, {
+    headers: {
+      'content-type': 'text/xml;charset=UTF-8',
+    },
+  });
+};
@@ -0,0 +1,67 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+import { LOGOUT_PATH } from './auth.js';
+import { DASHBOARD_PATH } from './dashboard.js';
+import { escapeHtml, isTrue } from './utils.js';
+
+// Constants
+const TOOLBAR_STYLE = 'position:fixed;left:0;right:0;bottom:0;z-index:2147483646;display:flex;gap:16px;'
+  + 'align-items:center;padding:6px 12px;background:#1d1d1d;color:#fff;font:13px/1.4 sans-serif';
+const LINK_STYLE = 'color:#fff';
+
+/**
+ * Checks whether the review toolbar is enabled for a review
+ * @param {Object} metadata - The review metadata
+ * @returns {boolean} Whether the toolbar should be injected
+ */
+export const isToolbarEnabled = (metadata) => isTrue(metadata?.toolbar);
+
+/**
+ * Renders a toolbar link, or nothing if there is no target
+ * @param {string} [href] - The link target
+ * @param {string} label - The link text
+ * @returns {string} The link HTML
+ */
+const renderLink = (href, label) => (href
+  ? `<a href="${escapeHtml(href)}" style="${LINK_STYLE}">${escapeHtml(label)}</a>`
+  : '');
+
+/**
+ * Renders the review toolbar showing the review, whether the current page
+ * comes from the snapshot, navigation between the snapshot pages and a
+ * logout button
+ * @param {Object} manifest - The snapshot manifest
+ * @param {Object} reviewInfo - Review information object
+ * @param {string} pathname - The request path
+ * @returns {string} The toolbar HTML
+ */
+export const getToolbarHtml = (manifest, reviewInfo, pathname) => {
+  const pages = manifest.resources
+    .filter(({ path, status }) => status !== 404 && !path.split('/').pop().includes('.'))
+    .map(({ path }) => path);
+  const index = pages.indexOf(pathname);
+  const isSnapshot = index >= 0;
+  const previous = isSnapshot ? pages[index - 1] : undefined;
+  const next = isSnapshot ? pages[index + 1] : pages[0];
+
+  return `<div id="review-toolbar" style="${TOOLBAR_STYLE}">
+<strong>Review ${renderLink(DASHBOARD_PATH, reviewInfo.reviewId)}</strong>
+<span class="review-toolbar-source">${isSnapshot
+    ? `Snapshot page ${index + 1} of ${pages.length}`
+    : 'Live page, not in this snapshot'}</span>
+${renderLink(previous, '← Previous')}
+${renderLink(next, isSnapshot ? 'Next →' : 'First snapshot page →')}
+<span style="flex:1"></span>
+${renderLink(`${LOGOUT_PATH}?redirect=${encodeURIComponent(pathname)}`, 'Log out')}
+</div>`;
+};
@@ -0,0 +1,114 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+
+/**
+ * Escapes a string for use in HTML text content and attribute values
+ * @param {string} value - The value to escape
+ * @returns {string} The escaped value
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replaceAll('&', '&amp;')
+  .replaceAll('<', '&lt;')
+  .replaceAll('>', '&gt;')
+  .replaceAll('"', '&quot;')
+  .replaceAll('\'', '&#39;');
+
+/**
+ * Computes the hex encoded SHA-256 digest of a string
+ * @param {string} message - The string to hash
+ * @returns {Promise<string>} The hex encoded digest
+ */
+export const sha256 = async (message) => {
+  const encoder = new TextEncoder();
+  const data = encoder.encode(message);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  const hashArray = Array.from(new Uint8Array(hashBuffer));
+  return hashArray.map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Encodes bytes or a string as unpadded base64url
+ * @param {ArrayBuffer|Uint8Array|string} input - The data to encode
+ * @returns {string} The base64url encoded string
+ */
+export const base64UrlEncode = (input) => {
+  const bytes = typeof input === 'string'
+    ? new TextEncoder().encode(input)
+    : new Uint8Array(input);
+  const binary = Array.from(bytes, (b) => String.fromCharCode(b)).join('');
+  return btoa(binary).replaceAll('+', '-').replaceAll('/', '_').replace(/=+$/, '');
+};
+
+/**
+ * Decodes an unpadded base64url string
+ * @param {string} input - The base64url encoded string
+ * @returns {Uint8Array} The decoded bytes
+ */
+export const base64UrlDecode = (input) => {
+  const base64 = input.replaceAll('-', '+').replaceAll('_', '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+};
+
+/**
+ * Returns the current time in seconds
+ * @returns {number} The current unix time
+ */
+export const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Converts a comma separated string or an array to a list of trimmed values
+ * @param {string|Array<string>} value - The value
+ * @returns {Array<string>} The list
+ */
+export const toList = (value) => (Array.isArray(value) ? value : String(value ?? '').split(','))
+  .map((entry) => String(entry).trim())
+  .filter((entry) => entry);
+
+/**
+ * Checks whether a config or metadata value is true
+ * @param {*} value - The value
+ * @returns {boolean} Whether the value is true
+ */
+export const isTrue = (value) => value === true || String(value).toLowerCase() === 'true';
+
+/**
+ * Parses a JSON object configured in an environment variable. Invalid JSON
+ * is logged and treated as an empty configuration.
+ * @param {Object} env - The environment variables
+ * @param {string} name - The name of the variable
+ * @returns {Object} The parsed configuration
+ */
+export const parseJsonConfig = (env, name) => {
+  if (!env[name]) return {};
+  try {
+    return JSON.parse(env[name]);
+  } catch (e) {
+    // eslint-disable-next-line no-console
+    console.error(`Invalid ${name} configuration: ${e.message}`);
+    return {};
+  }
+};
+
+/**
+ * Creates an uncacheable JSON response
+ * @param {number} status - The response status
+ * @param {Object} body - The response body
+ * @returns {Response} The JSON response
+ */
+export const jsonResponse = (status, body) => new Response(JSON.stringify(body), {
+  status,
+  headers: {
+    'content-type': 'application/json',
+    'cache-control': 'no-store',
+  },
+});
@@ -0,0 +1,62 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env mocha */
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { diffBlocks, getBlocks } from '../src/diff.js';
+
+describe('Snapshot diff', () => {
+  it('splits plain html into section blocks', () => {
+    const html = `<div>
+  <h1 id="title">Title</h1>
+  <p>Intro <a href="/x">link</a></p>
+  <p><picture><source srcset="./media_1.png"><img src="./media_1.png" alt=""></picture></p>
+</div>
+<div>
+  <div class="cards"><div><div>Card</div></div></div>
+  <!-- comment -->
+  <p>A &gt; B</p>
+</div>`;
+    assert.deepStrictEqual(getBlocks(html), [
+      '<h1 id="title">Title</h1>',
+      '<p>Intro <a href="/x">link</a></p>',
+      '<p><picture><source srcset="./media_1.png"><img src="./media_1.png" alt=""></picture></p>',
+      '<div class="cards"><div><div>Card</div></div></div>',
+      '<!-- comment -->',
+      '<p>A &gt; B</p>',
+    ]);
+  });
+
+  it('keeps top-level nodes that are not sections', () => {
+    assert.deepStrictEqual(getBlocks('<p>One</p> text <hr><div class="x">Two</div>'), [
+      '<p>One</p>',
+      'text',
+      '<hr>',
+      '<div class="x">Two</div>',
+    ]);
+  });
+
+  it('computes added and removed blocks', () => {
+    const diff = diffBlocks(['<h1>A</h1>', '<p>B</p>', '<p>C</p>'], ['<h1>A</h1>', '<p>C</p>', '<p>D</p>']);
+    assert.deepStrictEqual(diff, [
+      { type: 'unchanged', html: '<h1>A</h1>' },
+      { type: 'removed', html: '<p>B</p>' },
+      { type: 'unchanged', html: '<p>C</p>' },
+      { type: 'added', html: '<p>D</p>' },
+    ]);
+  });
+
+  it('ignores whitespace differences', () => {
+    const diff = diffBlocks(['<p>A\n  B</p>'], ['<p>A B</p>']);
+    assert.deepStrictEqual(diff, [{ type: 'unchanged', html: '<p>A B</p>' }]);
+  });
+});
@@ -12,17 +12,110 @@
 /* eslint-env mocha */
 /* global global */
 import assert from 'assert';
+import { Buffer } from 'buffer';
+import { createHash } from 'crypto';
 import {
   describe, it, mock, beforeEach,
 } from 'node:test';
+import { HTMLRewriter } from '@miniflare/html-rewriter';
 import worker from '../src/index.js';
 
+global.HTMLRewriter = HTMLRewriter;
+
+/**
+ * Creates an in-memory mock of a KV namespace binding
+ * @returns {Object} The mocked KV namespace
+ */
+const createKV = () => {
+  const store = new Map();
+  const metadata = new Map();
+  return {
+    store,
+    get: mock.fn(async (key, type) => {
+      const value = store.has(key) ? store.get(key) : null;
+      return value !== null && type === 'json' ? JSON.parse(value) : value;
+    }),
+    put: mock.fn(async (key, value, options = {}) => {
+      store.set(key, value);
+      metadata.set(key, options.metadata);
+    }),
+    delete: mock.fn(async (key) => {
+      store.delete(key);
+      metadata.delete(key);
+    }),
+    list: mock.fn(async ({ prefix = '' } = {}) => ({
+      keys: [...store.keys()]
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => ({ name, metadata: metadata.get(name) })),
+      list_complete: true,
+    })),
+  };
+};
+
 describe('Helix Reviews Worker', () => {
   let env;
   let ctx;
+  let manifestMetadata;
+  let metadataRules;
+  let contentHtml;
+  let keyPair;
+  let jwk;
+  const jwksUrl = 'https://ims.example.com/jwks';
+
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+  const sign = async (claims, { kid = 'key-1', key } = {}) => {
+    const input = `${encode({ alg: 'RS256', kid })}.${encode({
+      sub: 'user-1',
+      email: 'jane@adobe.com',
+      name: 'Jane',
+      iss: 'https://ims.example.com',
+      aud: 'reviews',
+      exp: Math.floor(Date.now() / 1000) + 3600,
+      ...claims,
+    })}`;
+    const signature = await crypto.subtle.sign(
+      'RSASSA-PKCS1-v1_5',
+      key || keyPair.privateKey,
+      new TextEncoder().encode(input),
+    );
+    return `${input}.${Buffer.from(signature).toString('base64url')}`;
+  };
+
+  // enables JWT authentication of the review and serves the signing key
+  const useJwtAuth = async () => {
+    if (!keyPair) {
+      keyPair = await crypto.subtle.generateKey({
+        name: 'RSASSA-PKCS1-v1_5',
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: 'SHA-256',
+      }, true, ['sign', 'verify']);
+      jwk = { ...await crypto.subtle.exportKey('jwk', keyPair.publicKey), kid: 'key-1', alg: 'RS256' };
+    }
+    manifestMetadata = { authMode: 'jwt', reviewPassword: 'secret' };
+    env.JWT_JWKS_URL = jwksUrl;
+    env.JWT_ISSUERS = 'https://ims.example.com';
+    env.JWT_AUDIENCES = 'reviews';
+
+    const { fetch } = global;
+    global.fetch = mock.fn(async (url, init) => (url === jwksUrl
+      ? new Response(JSON.stringify({ keys: [jwk] }), { headers: { 'content-type': 'application/json' } })
+      : fetch(url, init)));
+  };
 
   beforeEach(() => {
-    env = {};
+    // short origin timeouts keep unread response bodies from delaying the test run
+    env = { ORIGIN_TIMEOUT: '1' };
+    manifestMetadata = {};
+    metadataRules = [
+      {
+        URL: '/**',
+        title: 'Default Title',
+        description: 'Default Description',
+      },
+    ];
+    contentHtml = '<html><head></head><body>Test Content</body></html>';
     ctx = {
       waitUntil: () => {},
       passThroughOnException: () => {},
@@ -38,10 +131,10 @@ describe('Helix Reviews Worker', () => {
           return new Response('Not Found', { status: 404 });
         }
         return new Response(JSON.stringify({
-          metadata: {},
+          metadata: manifestMetadata,
           resources: [
             { path: '/' },
-            { path: '/about' },
+            { path: '/about', status: 200, lastModified: 'Thu, 01 Oct 2026 10:00:00 GMT' },
             { path: '/metadata.json' },
           ],
         }), {
@@ -65,13 +158,7 @@ describe('Helix Reviews Worker', () => {
       // Mock metadata.json responses
       if (urlStr.includes('/metadata.json')) {
         return new Response(JSON.stringify({
-          data: [
-            {
-              URL: '/**',
-              title: 'Default Title',
-              description: 'Default Description',
-            },
-          ],
+          data: metadataRules,
         }), {
           status: 200,
           headers: { 'content-type': 'application/json' },
@@ -79,7 +166,7 @@ describe('Helix Reviews Worker', () => {
       }
 
       // Mock content responses
-      return new Response('<html><head></head><body>Test Content</body></html>', {
+      return new Response(contentHtml, {
         status: 200,
         headers: { 'content-type': 'text/html' },
       });
@@ -191,8 +278,8 @@ describe('Helix Reviews Worker', () => {
 
       assert.strictEqual(response.status, 200);
       const text = await response.text();
-      assert(text.includes('User-agent: *'));
-      assert(text.includes('Allow: /'));
+      assert(text.includes('User-agent: *\nDisallow: /'));
+      assert(!text.includes('Allow: /'));
       assert(text.includes('Sitemap: https://review123--main--test--adobe.aem.reviews/sitemap.xml'));
     });
 
@@ -256,8 +343,68 @@ describe('Helix Reviews Worker', () => {
       const response = await worker.fetch(request, env, ctx);
 
       assert.strictEqual(response.status, 404);
-      const text = await response.text();
-      assert.strictEqual(text, 'Review Not Found');
+      assert.strictEqual(response.headers.get('content-type'), 'application/json');
+      const body = await response.json();
+      assert.strictEqual(body.status, 404);
+      assert.strictEqual(body.code, 'review_not_found');
+      assert.strictEqual(body.reviewId, 'nonexistent');
+      assert.strictEqual(body.correlationId, response.headers.get('x-correlation-id'));
+    });
+
+    it('renders an error page for browsers', async () => {
+      const request = new Request('https://nonexistent--main--test--adobe.aem.reviews/', {
+        headers: { accept: 'text/html,application/xhtml+xml,*/*;q=0.8', 'cf-ray': '8a1b2c3d4e5f-AMS' },
+      });
+      const response = await worker.fetch(request, env, ctx);
+
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(response.headers.get('content-type'), 'text/html;charset=UTF-8');
+      assert.strictEqual(response.headers.get('x-correlation-id'), '8a1b2c3d4e5f-AMS');
+      const html = await response.text();
+      assert(html.includes('<h1>Review not found</h1>'));
+      assert(html.includes('Reference <code>8a1b2c3d4e5f-AMS</code>'));
+    });
+
+    it('distinguishes upstream errors from missing reviews', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (String(url).includes('/.manifest.json')
+        ? new Response('Service Unavailable', { status: 503 })
+        : fetch(url, init)));
+
+      const response = await worker.fetch(new Request('https://review123--main--test--adobe.aem.reviews/'), env, ctx);
+      assert.strictEqual(response.status, 502);
+      assert.strictEqual((await response.json()).code, 'upstream_error');
+
+      const sitemap = await worker.fetch(new Request('https://review123--main--test--adobe.aem.reviews/sitemap.xml'), env, ctx);
+      assert.strictEqual(sitemap.status, 502);
+    });
+
+    it('returns 504 on upstream timeouts', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      global.fetch = mock.fn(async () => {
+        throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+      });
+
+      const response = await worker.fetch(new Request('https://review123--main--test--adobe.aem.reviews/'), env, ctx);
+      assert.strictEqual(response.status, 504);
+      assert.strictEqual((await response.json()).code, 'upstream_timeout');
+    });
+
+    it('does not expose internal errors', async (t) => {
+      const error = t.mock.method(console, 'error', () => {});
+      global.fetch = mock.fn(async () => {
+        throw new Error('secret internal detail');
+      });
+
+      const response = await worker.fetch(new Request('https://review123--main--test--adobe.aem.reviews/'), env, ctx);
+      assert.strictEqual(response.status, 500);
+      const body = await response.json();
+      assert.strictEqual(body.code, 'internal_error');
+      assert(!JSON.stringify(body).includes('secret internal detail'));
+      const log = error.mock.calls[0].arguments[0];
+      assert(log.startsWith(`[${body.correlationId}] 500 internal_error`));
+      assert(log.includes('secret internal detail'));
     });
 
     it('handles snapshot redirects correctly', async () => {
@@ -284,5 +431,1976 @@ describe('Helix Reviews Worker', () => {
         assert(metadataUrl.includes('/.snapshots/review123/metadata.json'), 'Should include correct snapshot path');
       }
     });
+
+    const fetchPage = async (path = '/about') => {
+      const response = await worker.fetch(new Request(`https://review123--main--test--adobe.aem.reviews${path}`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      return response.text();
+    };
+
+    it('replaces the title and derived social tags', async () => {
+      contentHtml = '<html><head><title>Old Title</title>'
+        + '<meta property="og:title" content="Old Title">'
+        + '<meta name="twitter:title" content="Old Title">'
+        + '<meta name="description" content="Old Description">'
+        + '</head><body>Test Content</body></html>';
+
+      const html = await fetchPage();
+      assert(html.includes('<title>Default Title</title>'));
+      assert(html.includes('<meta property="og:title" content="Default Title">'));
+      assert(html.includes('<meta name="twitter:title" content="Default Title">'));
+      assert(html.includes('<meta name="description" content="Default Description">'));
+      assert(html.includes('<meta property="og:description" content="Default Description">'));
+      assert(!html.includes('Old'));
+      assert(html.includes('<body>Test Content</body>'));
+    });
+
+    it('adds missing tags to the head', async () => {
+      metadataRules = [{
+        URL: '/**', title: 'New', 'og:type': 'article', robots: 'noindex',
+      }];
+
+      const html = await fetchPage();
+      assert(html.includes('<title>New</title>'));
+      assert(html.includes('<meta property="og:type" content="article">'));
+      assert(html.includes('<meta name="robots" content="noindex">'));
+      assert(html.indexOf('<meta name="robots"') < html.indexOf('</head>'));
+    });
+
+    it('rewrites the canonical link', async () => {
+      metadataRules = [{ URL: '/**', canonical: 'https://www.example.com/about' }];
+      contentHtml = '<html><head><link rel="canonical" href="https://old.example.com/"></head><body></body></html>';
+
+      const html = await fetchPage();
+      assert(html.includes('<link rel="canonical" href="https://www.example.com/about">'));
+      assert(html.includes('<meta property="og:url" content="https://www.example.com/about">'));
+    });
+
+    it('escapes metadata values', async () => {
+      metadataRules = [{ URL: '/**', title: 'Say "hi" & <bye>', description: 'A "quoted" description' }];
+      contentHtml = '<html><head><title>Old</title></head><body></body></html>';
+
+      const html = await fetchPage();
+      assert(html.includes('<title>Say "hi" &amp; &lt;bye&gt;</title>'));
+      assert(html.includes('<meta name="description" content="A &quot;quoted&quot; description">'));
+    });
+
+    it('applies later and more specific rules', async () => {
+      metadataRules = [
+        { URL: '/about', title: 'Exact', description: '' },
+        { URL: '/**', title: 'Default', description: 'Default Description' },
+        { URL: '/a*', title: 'Glob', description: '' },
+        { URL: '/fr/**', title: 'French', description: '' },
+      ];
+      contentHtml = '<html><head><title>Old</title></head><body></body></html>';
+
+      const html = await fetchPage();
+      assert(html.includes('<title>Exact</title>'));
+      assert(html.includes('<meta name="description" content="Default Description">'));
+      assert(!html.includes('French'));
+    });
+
+    it('matches rules against the request path', async () => {
+      metadataRules = [{ URL: '/about', title: 'About' }];
+      contentHtml = '<html><head><title>Old</title></head><body></body></html>';
+
+      assert((await fetchPage('/about')).includes('<title>About</title>'));
+      assert((await fetchPage('/')).includes('<title>Old</title>'));
+    });
+
+    it('removes tags with a "" value', async () => {
+      metadataRules = [
+        { URL: '/**', description: 'Default Description', image: '/image.png' },
+        { URL: '/about', description: '""', canonical: '""' },
+      ];
+      contentHtml = '<html><head><meta name="description" content="Old">'
+        + '<meta property="og:description" content="Old">'
+        + '<link rel="canonical" href="https://old.example.com/">'
+        + '</head><body></body></html>';
+
+      const html = await fetchPage();
+      assert(!html.includes('description'));
+      assert(!html.includes('canonical'));
+      assert(html.includes('<meta property="og:image" content="/image.png">'));
+    });
+
+    it('does not rewrite resources with an extension', async () => {
+      contentHtml = '<html><head><title>Old</title></head><body></body></html>';
+
+      const html = await fetchPage('/styles.css');
+      assert(html.includes('<title>Old</title>'));
+    });
+  });
+
+  describe('Login and logout', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const login = (body) => worker.fetch(new Request(`${reviewHost}/.auth/login`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams(body).toString(),
+    }), env, ctx);
+
+    beforeEach(() => {
+      manifestMetadata = { reviewPassword: 'secret' };
+    });
+
+    it('renders the login form in the 401 page', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/about?x=1`), env, ctx);
+
+      assert.strictEqual(response.status, 401);
+      const html = await response.text();
+      assert(html.includes('<form method="post" action="/.auth/login">'));
+      assert(html.includes('name="redirect" value="/about?x=1"'));
+      assert(html.includes('401.js'), 'Should still include the external 401 script');
+    });
+
+    it('renders the login form', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/login?redirect=/about`), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      const html = await response.text();
+      assert(html.includes('name="redirect" value="/about"'));
+      assert(!html.includes('401.js'));
+    });
+
+    it('redirects straight back if the review has no password', async () => {
+      manifestMetadata = {};
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/login?redirect=/about`), env, ctx);
+
+      assert.strictEqual(response.status, 302);
+      assert.strictEqual(response.headers.get('location'), '/about');
+    });
+
+    it('sets the review cookie and redirects on valid password', async () => {
+      const response = await login({ password: 'secret', redirect: '/about' });
+
+      assert.strictEqual(response.status, 302);
+      assert.strictEqual(response.headers.get('location'), '/about');
+      const cookie = response.headers.get('set-cookie');
+      assert(cookie.startsWith('reviewPassword='));
+      assert(cookie.includes('HttpOnly'));
+
+      const [pair] = cookie.split(';');
+      const authenticated = await worker.fetch(new Request(`${reviewHost}/about`, {
+        headers: { cookie: pair },
+      }), env, ctx);
+      assert.strictEqual(authenticated.status, 200);
+    });
+
+    it('rejects an invalid password', async () => {
+      const response = await login({ password: 'wrong', redirect: '/about' });
+
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.headers.get('set-cookie'), null);
+      const html = await response.text();
+      assert(html.includes('Invalid password'));
+    });
+
+    it('does not redirect off the review host', async () => {
+      const response = await login({ password: 'secret', redirect: '//evil.com/' });
+
+      assert.strictEqual(response.status, 302);
+      assert.strictEqual(response.headers.get('location'), '/');
+    });
+
+    it('rejects redirects with control characters or backslashes', async () => {
+      const targets = ['/\t/evil.com', '/\n/evil.com', '/\\evil.com', '/foo\\..\\\\evil.com'];
+      await Promise.all(targets.map(async (redirect) => {
+        const response = await login({ password: 'secret', redirect });
+        assert.strictEqual(response.headers.get('location'), '/');
+      }));
+
+      const logout = await worker.fetch(new Request(`${reviewHost}/.auth/logout?redirect=/%09/evil.com`), env, ctx);
+      assert.strictEqual(logout.headers.get('location'), '/');
+    });
+
+    it('keeps same-origin redirects', async () => {
+      const logout = await worker.fetch(new Request(`${reviewHost}/.auth/logout?redirect=%2Fabout%3Fx%3D1`), env, ctx);
+      assert.strictEqual(logout.headers.get('location'), '/about?x=1');
+    });
+
+    it('clears the review cookie on logout', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/logout`), env, ctx);
+
+      assert.strictEqual(response.status, 302);
+      assert.strictEqual(response.headers.get('location'), '/');
+      const cookies = response.headers.getSetCookie();
+      assert(cookies.some((c) => c.startsWith('reviewSession=;')));
+      assert(cookies.some((c) => c.startsWith('reviewPassword=;')));
+      assert(cookies.every((c) => c.includes('Expires=Thu, 01 Jan 1970')));
+    });
+  });
+
+  describe('Review sessions', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const login = async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'password=secret&redirect=/about',
+      }), env, ctx);
+      const [pair] = response.headers.get('set-cookie').split(';');
+      return pair;
+    };
+
+    const fetchWithCookie = (cookie, host = reviewHost) => worker.fetch(new Request(`${host}/about`, {
+      headers: { cookie },
+    }), env, ctx);
+
+    beforeEach(() => {
+      env.SESSION_SECRET = 'session-secret';
+      manifestMetadata = { reviewPassword: 'secret' };
+    });
+
+    it('issues a signed, expiring session cookie', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'password=secret',
+      }), env, ctx);
+
+      const cookie = response.headers.get('set-cookie');
+      assert(cookie.startsWith('reviewSession='));
+      assert(cookie.includes('Max-Age=86400'));
+      assert(!cookie.includes('secret'));
+    });
+
+    it('honors the configured session max age', async () => {
+      env.SESSION_MAX_AGE = '3600';
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/login`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'password=secret',
+      }), env, ctx);
+
+      assert(response.headers.get('set-cookie').includes('Max-Age=3600'));
+    });
+
+    it('accepts a valid session', async () => {
+      const response = await fetchWithCookie(await login());
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('rejects a session for another review', async () => {
+      const response = await fetchWithCookie(await login(), 'https://other--main--test--adobe.aem.reviews');
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects a tampered session', async () => {
+      const cookie = await login();
+      const response = await fetchWithCookie(`${cookie.slice(0, -2)}xx`);
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects a session after the password changed', async () => {
+      const cookie = await login();
+      manifestMetadata = { reviewPassword: 'changed' };
+      const response = await fetchWithCookie(cookie);
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects an expired session', async () => {
+      const cookie = await login();
+      const { now } = Date;
+      Date.now = () => now() + 2 * 86400 * 1000;
+      try {
+        const response = await fetchWithCookie(cookie);
+        assert.strictEqual(response.status, 401);
+      } finally {
+        Date.now = now;
+      }
+    });
+
+    it('rejects legacy cookies outside the migration window', async () => {
+      const hash = createHash('sha256').update('secret').digest('hex');
+      const response = await fetchWithCookie(`reviewPassword=${hash}`);
+      assert.strictEqual(response.status, 401);
+      assert(!(await response.text()).includes('401.js'));
+    });
+
+    it('accepts legacy cookies during the migration window', async () => {
+      env.LEGACY_COOKIE_UNTIL = new Date(Date.now() + 86400 * 1000).toISOString();
+      const hash = createHash('sha256').update('secret').digest('hex');
+      const response = await fetchWithCookie(`reviewPassword=${hash}`);
+      assert.strictEqual(response.status, 200);
+      const unauthorized = await fetchWithCookie('');
+      assert((await unauthorized.text()).includes('401.js'));
+    });
+  });
+
+  describe('Share links', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const issue = (body, token = 'org-token') => worker.fetch(new Request(`${reviewHost}/.auth/share`, {
+      method: 'POST',
+      headers: {
+        authorization: `token ${token}`,
+        'content-type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }), env, ctx);
+
+    const redeem = async (shareUrl) => {
+      const response = await worker.fetch(new Request(shareUrl), env, ctx);
+      assert.strictEqual(response.status, 302);
+      const [pair] = response.headers.get('set-cookie').split(';');
+      return { response, cookie: pair };
+    };
+
+    const fetchWithCookie = (path, cookie) => worker.fetch(new Request(`${reviewHost}${path}`, {
+      headers: { cookie },
+    }), env, ctx);
+
+    beforeEach(() => {
+      env['adobe-org-token'] = 'org-token';
+      manifestMetadata = { reviewPassword: 'secret' };
+    });
+
+    it('requires the org token to issue share links', async () => {
+      const response = await issue({}, 'wrong');
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('only issues share links on POST', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.auth/share`, {
+        headers: { authorization: 'token org-token' },
+      }), env, ctx);
+      assert.strictEqual(response.status, 405);
+    });
+
+    it('validates the share options', async () => {
+      assert.strictEqual((await issue({ expiresIn: -1 })).status, 400);
+      assert.strictEqual((await issue({ path: 'about' })).status, 400);
+    });
+
+    it('issues a share link that is turned into a cookie', async () => {
+      const response = await issue({ expiresIn: 3600 });
+      assert.strictEqual(response.status, 200);
+      const { url, expires } = await response.json();
+      assert(url.startsWith(`${reviewHost}/?share=`));
+      assert(Date.parse(expires) > Date.now());
+
+      const { response: redirect, cookie } = await redeem(url);
+      assert.strictEqual(redirect.headers.get('location'), '/');
+      assert(redirect.headers.get('set-cookie').includes('Max-Age=3600'));
+      assert(cookie.startsWith('reviewShare='));
+
+      assert.strictEqual((await fetchWithCookie('/about', cookie)).status, 200);
+    });
+
+    it('rejects share links signed with another secret', async () => {
+      const { url } = await (await issue({})).json();
+      delete env['adobe-org-token'];
+      env.SESSION_SECRET = 'session-secret';
+
+      const response = await worker.fetch(new Request(url), env, ctx);
+      assert.strictEqual(response.status, 401, 'Should not accept links signed with another secret');
+    });
+
+    it('restricts share links to a path prefix', async () => {
+      const { url } = await (await issue({ path: '/about' })).json();
+      assert(url.startsWith(`${reviewHost}/about?share=`));
+
+      const { cookie } = await redeem(url);
+      assert.strictEqual((await fetchWithCookie('/about', cookie)).status, 200);
+      assert.strictEqual((await fetchWithCookie('/', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/styles.css', cookie)).status, 200);
+    });
+
+    it('limits path restricted share links on review routes', async () => {
+      const { url } = await (await issue({ path: '/about' })).json();
+      const { cookie } = await redeem(url);
+
+      assert.strictEqual((await fetchWithCookie('/.review/diff?path=/about', cookie)).status, 200);
+      assert.strictEqual((await fetchWithCookie('/.review/diff?path=/', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/.review/diff?path=/aboutus', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/.review/', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/.review/approvals', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/query-index.json', cookie)).status, 401);
+      assert.strictEqual((await fetchWithCookie('/.review/comments.js', cookie)).status, 200);
+      assert.strictEqual((await fetchWithCookie('/.snapshots/review123/.manifest.json', cookie)).status, 401);
+    });
+
+    it('serves the manifest without the review password', async () => {
+      const { url } = await (await issue({})).json();
+      const { cookie } = await redeem(url);
+
+      const response = await fetchWithCookie('/.snapshots/review123/.manifest.json', cookie);
+      assert.strictEqual(response.status, 200);
+      const manifest = await response.json();
+      assert.deepStrictEqual(manifest.metadata, {});
+      assert.strictEqual(manifest.resources.length, 3);
+    });
+
+    it('rejects share links for other reviews', async () => {
+      const { url } = await (await issue({})).json();
+      const otherUrl = url.replace('review123--', 'other--');
+
+      const response = await worker.fetch(new Request(otherUrl), env, ctx);
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects expired share links', async () => {
+      const { url } = await (await issue({ expiresIn: 60 })).json();
+      const { now } = Date;
+      Date.now = () => now() + 120 * 1000;
+      try {
+        const response = await worker.fetch(new Request(url), env, ctx);
+        assert.strictEqual(response.status, 401);
+      } finally {
+        Date.now = now;
+      }
+    });
+  });
+
+  describe('Manifest and metadata caching', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    const manifestKey = 'cache:adobe/test/main/review123/manifest';
+    const metadataKey = 'cache:adobe/test/main/review123/metadata';
+
+    const originCalls = (part) => global.fetch.mock.calls
+      .filter((call) => call.arguments[0].includes(part)).length;
+
+    beforeEach(() => {
+      env.REVIEWS = createKV();
+    });
+
+    it('serves manifest and metadata from the cache', async () => {
+      await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert(env.REVIEWS.store.has(manifestKey));
+      assert(env.REVIEWS.store.has(metadataKey));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(originCalls('/.manifest.json'), 1);
+      assert.strictEqual(originCalls('/metadata.json'), 1);
+    });
+
+    it('caches missing reviews', async () => {
+      const request = () => new Request('https://nonexistent--main--test--adobe.aem.reviews/');
+      await worker.fetch(request(), env, ctx);
+      const response = await worker.fetch(request(), env, ctx);
+
+      assert.strictEqual(response.status, 404);
+      assert.strictEqual(originCalls('/.manifest.json'), 1);
+    });
+
+    it('does not cache origin errors', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async () => new Response('Error', { status: 503 }));
+      try {
+        await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+        assert(!env.REVIEWS.store.has(manifestKey));
+      } finally {
+        global.fetch = fetch;
+      }
+    });
+
+    it('revalidates stale entries in the background', async () => {
+      await worker.fetch(new Request(`${reviewHost}/robots.txt`), env, ctx);
+      const entry = JSON.parse(env.REVIEWS.store.get(manifestKey));
+      entry.fetched -= 120 * 1000;
+      env.REVIEWS.store.set(manifestKey, JSON.stringify(entry));
+
+      const pending = [];
+      ctx.waitUntil = (promise) => pending.push(promise);
+      const response = await worker.fetch(new Request(`${reviewHost}/robots.txt`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      await Promise.all(pending);
+
+      assert.strictEqual(originCalls('/.manifest.json'), 2);
+      assert(JSON.parse(env.REVIEWS.store.get(manifestKey)).fetched > entry.fetched);
+    });
+
+    it('fetches expired entries from the origin', async () => {
+      env.CACHE_TTL = '10';
+      env.CACHE_STALE_TTL = '10';
+      await worker.fetch(new Request(`${reviewHost}/robots.txt`), env, ctx);
+      const entry = JSON.parse(env.REVIEWS.store.get(manifestKey));
+      entry.fetched -= 30 * 1000;
+      env.REVIEWS.store.set(manifestKey, JSON.stringify(entry));
+
+      await worker.fetch(new Request(`${reviewHost}/robots.txt`), env, ctx);
+      assert.strictEqual(originCalls('/.manifest.json'), 2);
+    });
+
+    it('purges the review cache with the org token', async () => {
+      env['adobe-org-token'] = 'org-token';
+      await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/purge`, {
+        method: 'POST',
+        headers: { authorization: 'token org-token' },
+      }), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      const { purged } = await response.json();
+      assert.deepStrictEqual(purged, [
+        manifestKey,
+        metadataKey,
+        'cache:adobe/test/main/review123/redirects',
+        'cache:adobe/test/main/review123/headers',
+        'cache:adobe/test/main/review123/index',
+      ]);
+      assert(!env.REVIEWS.store.has(manifestKey));
+      assert(!env.REVIEWS.store.has(metadataKey));
+    });
+
+    it('rejects unauthenticated purges', async () => {
+      env['adobe-org-token'] = 'org-token';
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/purge`, {
+        method: 'POST',
+      }), env, ctx);
+
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('only purges on POST', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/purge`), env, ctx);
+      assert.strictEqual(response.status, 405);
+    });
+  });
+
+  describe('Review dashboard', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    it('lists the snapshot resources', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/`), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-robots-tag'), 'noindex,nofollow');
+      const html = await response.text();
+      assert(html.includes('<title>Review review123</title>'));
+      assert(html.includes('<code>/about</code>'));
+      assert(html.includes('<td>200</td>'));
+      assert(html.includes('<td>Thu, 01 Oct 2026 10:00:00 GMT</td>'));
+      assert(html.includes('href="https://review123--main--test--adobe.aem.reviews/about"'));
+      assert(html.includes('href="https://main--test--adobe.aem.page/about"'));
+      assert(html.includes('href="https://main--test--adobe.aem.live/about"'));
+      assert(html.includes('<dt>Password protected</dt><dd>No</dd>'));
+    });
+
+    it('shows the review metadata', async () => {
+      manifestMetadata = {
+        title: 'Spring <Campaign>',
+        description: 'All campaign pages',
+        reviewPassword: 'secret',
+      };
+      env['adobe-org-token'] = 'org-token';
+      const response = await worker.fetch(new Request(`${reviewHost}/.review`, {
+        headers: { authorization: 'token org-token' },
+      }), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      const html = await response.text();
+      assert(html.includes('<h1>Spring &lt;Campaign&gt;</h1>'));
+      assert(html.includes('All campaign pages'));
+      assert(html.includes('<dt>Password protected</dt><dd>Yes</dd>'));
+      assert(!html.includes('secret'));
+    });
+
+    it('requires authentication', async () => {
+      manifestMetadata = { reviewPassword: 'secret' };
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/`), env, ctx);
+
+      assert.strictEqual(response.status, 401);
+    });
+  });
+
+  describe('Snapshot diff', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    beforeEach(() => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        if (url.endsWith('/.manifest.json')) {
+          return new Response(JSON.stringify({
+            metadata: manifestMetadata,
+            resources: [{ path: '/' }, { path: '/about' }, { path: '/new/' }],
+          }), { headers: { 'content-type': 'application/json' } });
+        }
+        if (url.endsWith('.plain.html')) {
+          if (url.includes('/new/') && !url.includes('/.snapshots/')) {
+            return new Response('Not Found', { status: 404 });
+          }
+          if (url.includes('/.snapshots/')) {
+            return new Response('<div><h1>Title</h1><p>New text</p><p><img src="./media_1.png"></p></div>');
+          }
+          return new Response('<div><h1>Title</h1><p>Old text</p></div>');
+        }
+        return fetch(url, init);
+      });
+    });
+
+    it('renders added and removed blocks', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/diff?path=/about`), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      const html = await response.text();
+      assert(html.includes('2 added, 1 removed, 1 unchanged'));
+      assert(html.includes('<div class="diff-block diff-unchanged"><h1>Title</h1></div>'));
+      assert(html.includes('<div class="diff-block diff-removed"><p>Old text</p></div>'));
+      assert(html.includes('<div class="diff-block diff-added"><p>New text</p></div>'));
+      assert(html.includes('src="https://main--test--adobe.aem.page/.snapshots/review123/media_1.png"'));
+
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert(urls.includes('https://main--test--adobe.aem.page/.snapshots/review123/about.plain.html'));
+      assert(urls.includes('https://main--test--adobe.aem.live/about.plain.html'));
+    });
+
+    it('shows new pages as added', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/diff?path=/new/`), env, ctx);
+
+      assert.strictEqual(response.status, 200);
+      const html = await response.text();
+      assert(html.includes('3 added, 0 removed, 0 unchanged'));
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert(urls.includes('https://main--test--adobe.aem.live/new/index.plain.html'));
+    });
+
+    it('requires a path', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/diff`), env, ctx);
+      assert.strictEqual(response.status, 400);
+    });
+
+    it('only diffs pages of the snapshot', async () => {
+      const paths = [
+        '/drafts/secret',
+        '/../../drafts/secret',
+        '/about/../drafts/secret',
+        '/%2e%2e/drafts/secret',
+        '/about%2f..%2fsecret',
+        '/about\\..\\secret',
+      ];
+      await Promise.all(paths.map(async (path) => {
+        const response = await worker.fetch(new Request(`${reviewHost}/.review/diff?path=${encodeURIComponent(path)}`), env, ctx);
+        assert.strictEqual(response.status, 400, path);
+      }));
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert(!urls.some((url) => url.endsWith('.plain.html')));
+    });
+  });
+
+  describe('Comments API', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const cookie = `reviewPassword=${createHash('sha256').update('secret').digest('hex')}`;
+
+    const api = (path = '', { method = 'GET', body, headers = {} } = {}) => worker.fetch(new Request(`${reviewHost}/.review/comments${path}`, {
+      method,
+      headers: { 'content-type': 'application/json', cookie, ...headers },
+      body: body ? JSON.stringify(body) : undefined,
+    }), env, ctx);
+
+    const create = async (body) => {
+      const response = await api('', { method: 'POST', body });
+      assert.strictEqual(response.status, 201);
+      return response.json();
+    };
+
+    beforeEach(() => {
+      env.REVIEWS = createKV();
+      manifestMetadata = { reviewPassword: 'secret' };
+    });
+
+    it('creates and lists comments per page', async () => {
+      const first = await create({ path: '/about', body: 'Typo in heading', author: 'Jane' });
+      await create({ path: '/', body: 'Looks good' });
+
+      assert.strictEqual(first.path, '/about');
+      assert.strictEqual(first.author, 'Jane');
+      assert.strictEqual(first.resolved, false);
+
+      const all = await (await api()).json();
+      assert.strictEqual(all.comments.length, 2);
+
+      const page = await (await api('?path=/about')).json();
+      assert.deepStrictEqual(page.comments, [first]);
+    });
+
+    it('keeps comments of reviews apart', async () => {
+      await create({ path: '/about', body: 'Typo' });
+      const response = await worker.fetch(new Request('https://other--main--test--adobe.aem.reviews/.review/comments', { headers: { cookie } }), env, ctx);
+      const { comments } = await response.json();
+      assert.deepStrictEqual(comments, []);
+    });
+
+    it('validates new comments', async () => {
+      assert.strictEqual((await api('', { method: 'POST', body: { path: '/about' } })).status, 400);
+      assert.strictEqual((await api('', { method: 'POST', body: { path: 'about', body: 'x' } })).status, 400);
+      assert.strictEqual((await api('', { method: 'POST', body: { path: '/about', body: '  ' } })).status, 400);
+    });
+
+    it('updates, resolves and deletes comments', async () => {
+      const { id } = await create({ path: '/about', body: 'Typo' });
+
+      const updated = await (await api(`/${id}`, { method: 'PATCH', body: { body: 'Typo in title' } })).json();
+      assert.strictEqual(updated.body, 'Typo in title');
+
+      const resolved = await (await api(`/${id}/resolve`, { method: 'POST' })).json();
+      assert.strictEqual(resolved.resolved, true);
+      assert(resolved.resolvedAt);
+
+      const reopened = await (await api(`/${id}`, { method: 'PATCH', body: { resolved: false } })).json();
+      assert.strictEqual(reopened.resolved, false);
+      assert.strictEqual(reopened.resolvedAt, undefined);
+
+      assert.strictEqual((await api(`/${id}`, { method: 'DELETE' })).status, 204);
+      assert.strictEqual((await api(`/${id}`)).status, 404);
+    });
+
+    it('rejects invalid updates', async () => {
+      const { id } = await create({ path: '/about', body: 'Typo' });
+      assert.strictEqual((await api(`/${id}`, { method: 'PATCH', body: { resolved: 'yes' } })).status, 400);
+      assert.strictEqual((await api(`/${id}/resolve`)).status, 405);
+      assert.strictEqual((await api(`/${id}/unknown`, { method: 'POST' })).status, 404);
+    });
+
+    it('uses the review authentication', async () => {
+      assert.strictEqual((await api('', { headers: { cookie: '' } })).status, 401);
+
+      env['adobe-org-token'] = 'org-token';
+      const response = await api('', { headers: { authorization: 'token org-token' } });
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('keeps comments of reviews without authentication read-only', async () => {
+      manifestMetadata = {};
+      const response = await api('', { method: 'POST', body: { path: '/about', body: 'Typo' } });
+      assert.strictEqual(response.status, 403);
+      assert.strictEqual((await api(`/${crypto.randomUUID()}`, { method: 'DELETE' })).status, 403);
+      assert.strictEqual((await api()).status, 200);
+      assert(![...env.REVIEWS.store.keys()].some((key) => key.startsWith('comments:')));
+    });
+
+    it('requires a KV binding', async () => {
+      delete env.REVIEWS;
+      assert.strictEqual((await api()).status, 501);
+    });
+
+    it('injects the overlay into snapshot pages when enabled', async () => {
+      manifestMetadata = { comments: true };
+      contentHtml = '<html><head><title>About</title></head><body></body></html>';
+
+      const page = await (await worker.fetch(new Request(`${reviewHost}/about`), env, ctx)).text();
+      assert(page.includes('<script src="/.review/comments.js" defer></script></head>'));
+
+      const plain = await (await worker.fetch(new Request(`${reviewHost}/about.plain.html`), env, ctx)).text();
+      assert(!plain.includes('comments.js'));
+
+      const script = await worker.fetch(new Request(`${reviewHost}/.review/comments.js`), env, ctx);
+      assert.strictEqual(script.headers.get('content-type'), 'text/javascript;charset=UTF-8');
+      assert((await script.text()).includes("const api = '/.review/comments';"));
+    });
+
+    it('does not inject the overlay by default', async () => {
+      const page = await (await worker.fetch(new Request(`${reviewHost}/about`), env, ctx)).text();
+      assert(!page.includes('comments.js'));
+    });
+  });
+
+  describe('Approval workflow', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const request = async (path, { body, reviewer = 'jane', headers } = {}) => worker.fetch(new Request(`${reviewHost}${path}`, {
+      method: path === '/.review/approvals' ? 'GET' : 'POST',
+      headers: headers || {
+        authorization: `Bearer ${await sign({ sub: reviewer, email: `${reviewer}@adobe.com` })}`,
+        'content-type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    }), env, ctx);
+
+    const decide = (action, body, reviewer) => request(`/.review/${action}`, { body, reviewer });
+
+    const dispatches = () => global.fetch.mock.calls
+      .filter((call) => call.arguments[0].endsWith('/dispatches'));
+
+    beforeEach(async () => {
+      await useJwtAuth();
+      env.REVIEWS = createKV();
+      env.GITHUB_TOKEN = 'gh-token';
+      env.GITHUB_API_URL = 'http://localhost:3000/';
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        if (url.endsWith('/dispatches')) {
+          return new Response(null, { status: 204 });
+        }
+        return fetch(url, init);
+      });
+    });
+
+    it('dispatches once the required approvals are reached', async () => {
+      manifestMetadata.requiredApprovals = 2;
+
+      const first = await (await decide('approve', { comment: 'LGTM' }, 'jane')).json();
+      assert.strictEqual(first.status, 'pending');
+      assert.strictEqual(first.approvals, 1);
+      assert.strictEqual(first.required, 2);
+      assert.strictEqual(dispatches().length, 0);
+
+      const second = await (await decide('approve', {}, 'joe')).json();
+      assert.strictEqual(second.status, 'approved');
+      assert(second.dispatched);
+      assert.strictEqual(dispatches().length, 1);
+
+      const [url, init] = dispatches()[0].arguments;
+      assert.strictEqual(url, 'http://localhost:3000/repos/adobe/test/dispatches');
+      assert.strictEqual(init.headers.authorization, 'Bearer gh-token');
+      const payload = JSON.parse(init.body);
+      assert.strictEqual(payload.event_type, 'review-approved');
+      assert.strictEqual(payload.client_payload.reviewId, 'review123');
+      assert.deepStrictEqual(payload.client_payload.approvals.map((a) => a.reviewer), ['jane@adobe.com', 'joe@adobe.com']);
+
+      await decide('approve', {}, 'jim');
+      assert.strictEqual(dispatches().length, 1, 'Should only dispatch once');
+    });
+
+    it('dispatches concurrent approvals once', async () => {
+      await Promise.all(['jane', 'joe', 'jim'].map((reviewer) => decide('approve', {}, reviewer)));
+      assert.strictEqual(dispatches().length, 1);
+
+      const status = await (await request('/.review/approvals')).json();
+      assert.strictEqual(status.approvals, 3);
+      assert(status.dispatched);
+    });
+
+    it('exposes the aggregated status', async () => {
+      await decide('approve', {}, 'jane');
+      await decide('reject', { comment: 'Wrong hero image' }, 'joe');
+
+      const status = await (await request('/.review/approvals')).json();
+      assert.strictEqual(status.status, 'rejected');
+      assert.strictEqual(status.approvals, 1);
+      assert.strictEqual(status.rejections, 1);
+      assert.deepStrictEqual(status.decisions.map((d) => d.comment), [undefined, 'Wrong hero image']);
+    });
+
+    it('replaces earlier decisions of a reviewer', async () => {
+      env.REQUIRED_APPROVALS = '1';
+      await decide('reject', {}, 'jane');
+      const status = await (await decide('approve', {}, 'jane')).json();
+
+      assert.strictEqual(status.status, 'approved');
+      assert.strictEqual(status.decisions.length, 1);
+      assert.strictEqual(dispatches().length, 1);
+    });
+
+    it('retries failed dispatches', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.endsWith('/dispatches')
+        ? new Response('Bad credentials', { status: 401 })
+        : fetch(url, init)));
+
+      const status = await (await decide('approve', {}, 'jane')).json();
+      assert.strictEqual(status.status, 'approved');
+      assert.strictEqual(status.dispatched, undefined);
+      assert(status.dispatchError.includes('401'));
+
+      global.fetch = fetch;
+      const retried = await (await decide('approve', {}, 'joe')).json();
+      assert(retried.dispatched);
+      assert.strictEqual(retried.dispatchError, undefined);
+    });
+
+    it('validates decisions', async () => {
+      assert.strictEqual((await decide('approve', { comment: 42 })).status, 400);
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/approve`, {
+        headers: { authorization: `Bearer ${await sign()}` },
+      }), env, ctx);
+      assert.strictEqual(response.status, 405);
+    });
+
+    it('records decisions of the org token against the owner', async () => {
+      manifestMetadata = { reviewPassword: 'secret' };
+      env['adobe-org-token'] = 'org-token';
+      const status = await (await request('/.review/approve', {
+        body: { reviewer: 'jane' },
+        headers: { authorization: 'token org-token', 'content-type': 'application/json' },
+      })).json();
+      assert.deepStrictEqual(status.decisions.map(({ reviewer }) => reviewer), ['adobe (org token)']);
+    });
+
+    it('refuses decisions on password reviews requiring several approvals', async () => {
+      manifestMetadata = { reviewPassword: 'secret', requiredApprovals: 2 };
+      env['adobe-org-token'] = 'org-token';
+      const response = await request('/.review/approve', {
+        headers: { authorization: 'token org-token' },
+      });
+      assert.strictEqual(response.status, 409);
+      assert((await response.json()).error.includes('2 approvals'));
+      assert(![...env.REVIEWS.store.keys()].some((key) => key.startsWith('approvals:')));
+    });
+
+    it('requires a verified reviewer', async () => {
+      manifestMetadata = { reviewPassword: 'secret' };
+      const hash = createHash('sha256').update('secret').digest('hex');
+      const response = await request('/.review/approve', {
+        body: { reviewer: 'jane' },
+        headers: { cookie: `reviewPassword=${hash}`, 'content-type': 'application/json' },
+      });
+      assert.strictEqual(response.status, 403);
+      assert(![...env.REVIEWS.store.keys()].some((key) => key.startsWith('approvals:')));
+    });
+
+    it('refuses decisions on reviews without authentication', async () => {
+      manifestMetadata = {};
+      env['adobe-org-token'] = 'org-token';
+      const response = await request('/.review/approve', {
+        headers: { authorization: 'token org-token' },
+      });
+      assert.strictEqual(response.status, 403);
+      assert(![...env.REVIEWS.store.keys()].some((key) => key.startsWith('approvals:')));
+
+      const status = await request('/.review/approvals', { headers: {} });
+      assert.strictEqual(status.status, 200);
+    });
+  });
+
+  describe('Robots policy', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    const auditAgent = 'Mozilla/5.0 (compatible; Screaming Frog SEO Spider/20.0)';
+
+    const robots = async () => (await worker.fetch(new Request(`${reviewHost}/robots.txt`), env, ctx)).text();
+    const robotsTag = async (path, userAgent = auditAgent) => {
+      const response = await worker.fetch(new Request(`${reviewHost}${path}`, {
+        headers: { 'user-agent': userAgent },
+      }), env, ctx);
+      return response.headers.get('x-robots-tag');
+    };
+
+    it('disallows all crawlers by default', async () => {
+      const text = await robots();
+      assert(text.startsWith('User-agent: *\nDisallow: /\n'));
+      assert.strictEqual(await robotsTag('/about'), 'noindex,nofollow');
+    });
+
+    it('allows SEO audit tools when enabled in the review metadata', async () => {
+      manifestMetadata = { robotsAudit: true };
+
+      const text = await robots();
+      assert(text.includes('User-agent: Screaming Frog SEO Spider\n'));
+      assert(text.includes('Allow: /\n\nUser-agent: *\nDisallow: /'));
+      assert.strictEqual(await robotsTag('/about'), null);
+      assert.strictEqual(await robotsTag('/about', 'Mozilla/5.0 Googlebot'), 'noindex,nofollow');
+    });
+
+    it('uses the configured audit agents', async () => {
+      env.ROBOTS_AUDIT = 'true';
+      env.ROBOTS_AUDIT_AGENTS = 'MyAuditBot, OtherBot';
+
+      const text = await robots();
+      assert(text.includes('User-agent: MyAuditBot\nUser-agent: OtherBot\nAllow: /'));
+      assert(!text.includes('Screaming Frog'));
+      assert.strictEqual(await robotsTag('/about', 'myauditbot/1.0'), null);
+    });
+
+    it('lets the review metadata opt out', async () => {
+      env.ROBOTS_AUDIT = 'true';
+      manifestMetadata = { robotsAudit: 'false' };
+
+      assert(!(await robots()).includes('Screaming Frog'));
+      assert.strictEqual(await robotsTag('/about'), 'noindex,nofollow');
+    });
+
+    it('applies per-path rules', async () => {
+      manifestMetadata = {
+        robotsAudit: true,
+        robotsAllow: '/about, /campaign/',
+        robotsDisallow: '/campaign/private',
+      };
+
+      const text = await robots();
+      assert(text.includes('Disallow: /campaign/private\nDisallow: /\nAllow: /about\nAllow: /campaign/'));
+      assert.strictEqual(await robotsTag('/about'), null);
+      assert.strictEqual(await robotsTag('/campaign/page'), null);
+      assert.strictEqual(await robotsTag('/campaign/private/page'), 'noindex,nofollow');
+      assert.strictEqual(await robotsTag('/'), 'noindex,nofollow');
+    });
+  });
+
+  describe('Link rewriting', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const fetchHtml = async (path) => {
+      const response = await worker.fetch(new Request(`${reviewHost}${path}`), env, ctx);
+      return response.text();
+    };
+
+    beforeEach(() => {
+      contentHtml = '<html><head></head><body>'
+        + '<a href="https://main--test--adobe.aem.page/about?x=1#top">Page</a>'
+        + '<a href="https://main--test--adobe.aem.live/">Live</a>'
+        + '<a href="https://www.example.com/products">Production</a>'
+        + '<a href="https://other--test--adobe.aem.live/">Other branch</a>'
+        + '<a href="https://external.com/">External</a>'
+        + '<a href="/relative">Relative</a>'
+        + '</body></html>';
+    });
+
+    it('rewrites preview and live links to the review host', async () => {
+      const html = await fetchHtml('/about');
+      assert(html.includes(`<a href="${reviewHost}/about?x=1#top">Page</a>`));
+      assert(html.includes(`<a href="${reviewHost}/">Live</a>`));
+      assert(html.includes('<a href="https://other--test--adobe.aem.live/">Other branch</a>'));
+      assert(html.includes('<a href="https://external.com/">External</a>'));
+      assert(html.includes('<a href="/relative">Relative</a>'));
+    });
+
+    it('rewrites links in plain html fragments', async () => {
+      const html = await fetchHtml('/nav.plain.html');
+      assert(html.includes(`<a href="${reviewHost}/">Live</a>`));
+    });
+
+    it('rewrites links to configured production hosts', async () => {
+      env.PRODUCTION_HOSTS = JSON.stringify({ 'adobe/test': ['www.example.com'] });
+      const html = await fetchHtml('/about');
+      assert(html.includes(`<a href="${reviewHost}/products">Production</a>`));
+    });
+
+    it('rewrites links to production hosts from the review metadata', async () => {
+      manifestMetadata = { productionHosts: 'example.com, WWW.EXAMPLE.COM' };
+      const html = await fetchHtml('/about');
+      assert(html.includes(`<a href="${reviewHost}/products">Production</a>`));
+    });
+
+    it('ignores invalid production host configuration', async () => {
+      env.PRODUCTION_HOSTS = '{invalid';
+      const html = await fetchHtml('/about');
+      assert(html.includes('<a href="https://www.example.com/products">Production</a>'));
+    });
+  });
+
+  describe('Query index merging', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    let liveRows;
+    let resources;
+
+    const fetchIndex = async (query = '') => {
+      const response = await worker.fetch(new Request(`${reviewHost}/query-index.json${query}`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      return response.json();
+    };
+
+    beforeEach(() => {
+      liveRows = [
+        { path: '/', title: 'Home', lastModified: '1700000000' },
+        { path: '/about', title: 'Old About', lastModified: '1700000000' },
+        { path: '/removed', title: 'Removed', lastModified: '1700000000' },
+        { path: '/contact', title: 'Contact', lastModified: '1700000000' },
+      ];
+      resources = [
+        { path: '/about', lastModified: 'Thu, 01 Oct 2026 10:00:00 GMT' },
+        { path: '/news/new-page', lastModified: 'Thu, 01 Oct 2026 10:00:00 GMT' },
+        { path: '/removed', status: 404 },
+      ];
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        const { pathname, searchParams } = new URL(url);
+        if (pathname.endsWith('/.manifest.json')) {
+          return new Response(JSON.stringify({
+            metadata: {},
+            resources,
+          }), { status: 200, headers: { 'content-type': 'application/json' } });
+        }
+        if (pathname === '/news/query-index.json') {
+          return new Response('Not Found', { status: 404 });
+        }
+        if (pathname === '/query-index.json') {
+          const offset = Number(searchParams.get('offset'));
+          const limit = Number(searchParams.get('limit'));
+          return new Response(JSON.stringify({
+            total: liveRows.length,
+            offset,
+            limit,
+            data: liveRows.slice(offset, offset + limit),
+            columns: ['path', 'title', 'lastModified'],
+            ':type': 'sheet',
+          }), { status: 200, headers: { 'content-type': 'application/json' } });
+        }
+        if (pathname.startsWith('/.snapshots/review123/')) {
+          const title = pathname.endsWith('/about') ? 'New About' : 'New Page';
+          return new Response(`<html><head><title>${title}</title></head><body></body></html>`, {
+            status: 200,
+            headers: { 'content-type': 'text/html' },
+          });
+        }
+        return fetch(url, init);
+      });
+    });
+
+    it('adds, overrides and removes snapshot pages', async () => {
+      const index = await fetchIndex();
+      assert.strictEqual(index.total, 4);
+      assert.deepStrictEqual(index.data, [
+        { path: '/', title: 'Home', lastModified: '1700000000' },
+        { path: '/about', title: 'New About', lastModified: '1790848800' },
+        { path: '/contact', title: 'Contact', lastModified: '1700000000' },
+        { path: '/news/new-page', title: 'New Page', lastModified: '1790848800' },
+      ]);
+      assert.deepStrictEqual(index.columns, ['path', 'title', 'lastModified']);
+    });
+
+    it('applies offset and limit to the merged index', async () => {
+      const index = await fetchIndex('?offset=2&limit=1');
+      assert.strictEqual(index.total, 4);
+      assert.strictEqual(index.offset, 2);
+      assert.strictEqual(index.limit, 1);
+      assert.deepStrictEqual(index.data.map(({ path }) => path), ['/contact']);
+    });
+
+    it('follows the paging of the live index', async () => {
+      liveRows = Array.from({ length: 1500 }, (_, i) => ({ path: `/page-${i}`, title: `${i}` }));
+      const index = await fetchIndex('?offset=1500');
+      assert.strictEqual(index.total, 1502);
+      assert.deepStrictEqual(index.data.map(({ path }) => path), ['/about', '/news/new-page']);
+    });
+
+    it('only adds snapshot pages of the index folder', async () => {
+      liveRows = [];
+      const index = await worker.fetch(new Request(`${reviewHost}/news/query-index.json`), env, ctx)
+        .then((response) => response.json());
+      assert.deepStrictEqual(index.data.map(({ path }) => path), ['/news/new-page']);
+    });
+
+    it('merges the requested sheets of a multi-sheet index', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        if (new URL(url).pathname === '/query-index.json') {
+          assert.deepStrictEqual(new URL(url).searchParams.getAll('sheet'), ['default', 'news']);
+          return new Response(JSON.stringify({
+            default: { total: 1, data: [{ path: '/removed', title: 'Removed' }] },
+            news: { total: 1, data: [{ path: '/about', title: 'Old About' }] },
+            ':names': ['default', 'news'],
+            ':type': 'multi-sheet',
+          }), { status: 200, headers: { 'content-type': 'application/json' } });
+        }
+        return fetch(url, init);
+      });
+
+      const index = await fetchIndex('?sheet=default&sheet=news');
+      assert.deepStrictEqual(index[':names'], ['default', 'news']);
+      assert.deepStrictEqual(index.default.data.map(({ path }) => path), ['/news/new-page']);
+      assert.deepStrictEqual(index.news.data, [{ path: '/about', title: 'New About' }]);
+    });
+
+    const snapshotFetches = () => global.fetch.mock.calls
+      .filter(({ arguments: [url] }) => new URL(url).pathname.startsWith('/.snapshots/review123/')
+        && !url.endsWith('.json'));
+
+    it('caches the snapshot rows in KV', async () => {
+      env.REVIEWS = createKV();
+      await fetchIndex();
+      assert.strictEqual(snapshotFetches().length, 2);
+
+      const index = await fetchIndex();
+      assert.strictEqual(snapshotFetches().length, 2);
+      assert.strictEqual(index.data.find(({ path }) => path === '/about').title, 'New About');
+
+      resources[0].lastModified = 'Fri, 02 Oct 2026 10:00:00 GMT';
+      env.REVIEWS.store.delete('cache:adobe/test/main/review123/manifest');
+      await fetchIndex();
+      assert.strictEqual(snapshotFetches().length, 3);
+    });
+
+    it('keeps the live row of snapshot pages that fail', async (t) => {
+      t.mock.method(console, 'warn', () => {});
+      env.ORIGIN_RETRIES = '0';
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.endsWith('/.snapshots/review123/about')
+        ? new Response('Error', { status: 500 })
+        : fetch(url, init)));
+
+      const index = await fetchIndex();
+      assert.strictEqual(index.data.find(({ path }) => path === '/about').title, 'Old About');
+      assert(index.data.some(({ path }) => path === '/news/new-page'));
+    });
+
+    it('bounds the snapshot pages fetched per request', async () => {
+      env.REVIEWS = createKV();
+      liveRows = [];
+      resources = Array.from({ length: 120 }, (_, i) => ({ path: `/page-${i}` }));
+
+      const first = await fetchIndex();
+      assert.strictEqual(snapshotFetches().length, 100);
+      assert.strictEqual(first.total, 100);
+
+      const second = await fetchIndex();
+      assert.strictEqual(snapshotFetches().length, 120);
+      assert.strictEqual(second.total, 120);
+    });
+  });
+
+  describe('Snapshot redirects and headers', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    let resources;
+
+    beforeEach(() => {
+      resources = [
+        { path: '/new-about' },
+        { path: '/redirects.json' },
+        { path: '/.helix/headers.json' },
+      ];
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        const { pathname } = new URL(url);
+        const sheet = (data) => new Response(JSON.stringify({ data }), {
+          status: 200,
+          headers: { 'content-type': 'application/json' },
+        });
+        if (pathname.endsWith('/.manifest.json')) {
+          return new Response(JSON.stringify({ metadata: {}, resources }), {
+            status: 200,
+            headers: { 'content-type': 'application/json' },
+          });
+        }
+        if (pathname === '/.snapshots/review123/redirects.json') {
+          return sheet([
+            { Source: '/about', Destination: '/new-about' },
+            { Source: 'https://main--test--adobe.aem.live/old', Destination: 'https://www.example.com/?from=old' },
+          ]);
+        }
+        if (pathname === '/.snapshots/review123/.helix/headers.json') {
+          return sheet([
+            { URL: '/**', key: 'X-Frame-Options', value: 'DENY' },
+            { URL: '/new-about', key: 'Cache-Control', value: 'max-age=60' },
+            { URL: '/**', key: 'x-unwanted', value: '' },
+          ]);
+        }
+        if (!pathname.endsWith('.json')) {
+          return new Response(contentHtml, {
+            status: 200,
+            headers: { 'content-type': 'text/html', 'x-unwanted': 'yes' },
+          });
+        }
+        return fetch(url, init);
+      });
+    });
+
+    it('applies snapshot redirects and keeps the query string', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/about?x=1`), env, ctx);
+      assert.strictEqual(response.status, 301);
+      assert.strictEqual(response.headers.get('location'), '/new-about?x=1');
+      assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+    });
+
+    it('matches absolute redirect sources by path', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/old?x=1`), env, ctx);
+      assert.strictEqual(response.status, 301);
+      assert.strictEqual(response.headers.get('location'), 'https://www.example.com/?from=old');
+    });
+
+    it('applies snapshot headers to content responses', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/new-about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+      assert.strictEqual(response.headers.get('cache-control'), 'max-age=60');
+      assert.strictEqual(response.headers.get('x-unwanted'), null);
+    });
+
+    it('skips invalid snapshot header rules', async (t) => {
+      const warn = t.mock.method(console, 'warn', () => {});
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (new URL(url).pathname === '/.snapshots/review123/.helix/headers.json'
+        ? new Response(JSON.stringify({
+          data: [
+            { URL: '/**', key: 'x bad header', value: 'yes' },
+            { URL: '/**', key: 'x-multiline', value: 'a\nb' },
+            { URL: '/**', key: 'X-Frame-Options', value: 'DENY' },
+          ],
+        }), { status: 200, headers: { 'content-type': 'application/json' } })
+        : fetch(url, init)));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/new-about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-frame-options'), 'DENY');
+      assert.strictEqual(response.headers.get('x-multiline'), null);
+      assert.strictEqual(warn.mock.callCount(), 2);
+    });
+
+    it('ignores the live sheets if the snapshot has none', async () => {
+      resources = [{ path: '/new-about' }];
+      const response = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-frame-options'), null);
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert(!urls.some((url) => url.includes('redirects.json')));
+    });
+  });
+
+  describe('Layered reviews', () => {
+    let manifests;
+
+    const fetchPage = (hostname, path) => worker.fetch(new Request(`https://${hostname}${path}`), env, ctx);
+
+    beforeEach(() => {
+      manifests = {
+        review123: {
+          metadata: { layers: 'nav, missing, campaign' },
+          resources: [{ path: '/about' }],
+        },
+        nav: {
+          metadata: { reviewPassword: 'secret' },
+          resources: [{ path: '/about' }, { path: '/nav' }, { path: '/metadata.json' }],
+        },
+        campaign: {
+          metadata: { reviewPassword: 'other', title: 'Campaign' },
+          resources: [{ path: '/campaign' }, { path: '/nav' }],
+        },
+      };
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        const match = new URL(url).pathname.match(/^\/\.snapshots\/([^/]+)\/\.manifest\.json$/);
+        if (match) {
+          return manifests[match[1]]
+            ? new Response(JSON.stringify(manifests[match[1]]), {
+              status: 200,
+              headers: { 'content-type': 'application/json' },
+            })
+            : new Response('Not Found', { status: 404 });
+        }
+        return fetch(url, init);
+      });
+    });
+
+    const login = async (hostname, password) => {
+      const response = await worker.fetch(new Request(`https://${hostname}/.auth/login`, {
+        method: 'POST',
+        body: new URLSearchParams({ password, redirect: '/' }),
+      }), env, ctx);
+      return response.headers.get('set-cookie').split(';')[0];
+    };
+
+    const originUrl = async (hostname, path, cookie) => {
+      const response = await worker.fetch(new Request(`https://${hostname}${path}`, {
+        headers: { cookie },
+      }), env, ctx);
+      assert.strictEqual(response.status, 200);
+      return response.headers.get('x-origin-url');
+    };
+
+    it('resolves paths against the layers of the manifest', async () => {
+      const hostname = 'review123--main--test--adobe.aem.reviews';
+      const cookie = await login(hostname, 'secret');
+
+      assert.strictEqual(await originUrl(hostname, '/about', cookie), 'https://main--test--adobe.aem.page/.snapshots/review123/about');
+      assert.strictEqual(await originUrl(hostname, '/nav', cookie), 'https://main--test--adobe.aem.page/.snapshots/nav/nav');
+      assert.strictEqual(await originUrl(hostname, '/campaign', cookie), 'https://main--test--adobe.aem.page/.snapshots/campaign/campaign');
+      assert.strictEqual(await originUrl(hostname, '/other', cookie), 'https://main--test--adobe.aem.live/other');
+
+      const urls = global.fetch.mock.calls.map((call) => call.arguments[0]);
+      assert(urls.includes('https://main--test--adobe.aem.page/.snapshots/nav/metadata.json'));
+    });
+
+    it('uses the metadata of the first layer that defines it', async () => {
+      const hostname = 'review123--main--test--adobe.aem.reviews';
+      const response = await fetchPage(hostname, '/about');
+      assert.strictEqual(response.status, 401);
+
+      const rejected = await worker.fetch(new Request(`https://${hostname}/.auth/login`, {
+        method: 'POST',
+        body: new URLSearchParams({ password: 'other', redirect: '/' }),
+      }), env, ctx);
+      assert.strictEqual(rejected.status, 401);
+    });
+
+    it('reads composite reviews from KV', async () => {
+      env.REVIEWS = createKV();
+      await env.REVIEWS.put('layers:adobe/test/main/launch', JSON.stringify(['campaign', 'nav']));
+      const hostname = 'launch--main--test--adobe.aem.reviews';
+      const cookie = await login(hostname, 'other');
+
+      assert.strictEqual(await originUrl(hostname, '/nav', cookie), 'https://main--test--adobe.aem.page/.snapshots/campaign/nav');
+      assert.strictEqual(await originUrl(hostname, '/about', cookie), 'https://main--test--adobe.aem.page/.snapshots/nav/about');
+
+      const sitemap = await (await fetchPage(hostname, '/sitemap.xml')).text();
+      ['/campaign', '/nav', '/about'].forEach((path) => {
+        assert(sitemap.includes(`<loc>https://${hostname}${path}</loc>`));
+      });
+    });
+
+    it('returns 404 if no layer exists', async () => {
+      env.REVIEWS = createKV();
+      await env.REVIEWS.put('layers:adobe/test/main/launch', JSON.stringify(['missing']));
+      const response = await fetchPage('launch--main--test--adobe.aem.reviews', '/');
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  describe('Review lifecycle', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const post = (path, body) => worker.fetch(new Request(`${reviewHost}${path}`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    }), env, ctx);
+
+    beforeEach(() => {
+      env.REVIEWS = createKV();
+    });
+
+    it('reports open reviews in a header', async () => {
+      const response = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-review-state'), 'open');
+    });
+
+    it('reports draft reviews in a header', async () => {
+      manifestMetadata = { state: 'Draft' };
+      const response = await worker.fetch(new Request(`${reviewHost}/.review/approvals`), env, ctx);
+      assert.strictEqual(response.headers.get('x-review-state'), 'draft');
+    });
+
+    it('returns 410 for expired reviews', async () => {
+      manifestMetadata = { expires: '2020-01-01T00:00:00Z', title: 'Spring <Launch>' };
+      const response = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(response.status, 410);
+      assert.strictEqual(response.headers.get('x-review-state'), 'expired');
+      const html = await response.text();
+      assert(html.includes('This review has expired'));
+      assert(html.includes('Spring &lt;Launch&gt;'));
+
+      const sitemap = await worker.fetch(new Request(`${reviewHost}/sitemap.xml`), env, ctx);
+      assert.strictEqual(sitemap.status, 410);
+    });
+
+    it('accepts expiry timestamps in seconds', async () => {
+      manifestMetadata = { expires: String(Math.floor(Date.now() / 1000) + 3600) };
+      const response = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.headers.get('x-review-state'), 'open');
+    });
+
+    it('keeps locked reviews readable but rejects writes', async () => {
+      manifestMetadata = { locked: true };
+      const page = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(page.status, 200);
+      assert.strictEqual(page.headers.get('x-review-state'), 'locked');
+
+      const comment = await post('/.review/comments', { path: '/about', body: 'Typo' });
+      assert.strictEqual(comment.status, 423);
+      const approval = await post('/.review/approve', { reviewer: 'jane' });
+      assert.strictEqual(approval.status, 423);
+      assert(![...env.REVIEWS.store.keys()].some((key) => /^(comments|approvals):/.test(key)));
+
+      const comments = await worker.fetch(new Request(`${reviewHost}/.review/comments`), env, ctx);
+      assert.strictEqual(comments.status, 200);
+    });
+
+    it('treats closed reviews as locked', async () => {
+      manifestMetadata = { state: 'closed' };
+      const response = await post('/.review/reject', { reviewer: 'jane' });
+      assert.strictEqual(response.status, 423);
+      assert.strictEqual(response.headers.get('x-review-state'), 'locked');
+    });
+  });
+
+  describe('Conditional requests', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const get = (path, headers = {}) => worker.fetch(new Request(`${reviewHost}${path}`, { headers }), env, ctx);
+
+    it('sets a strong ETag on rewritten pages and answers 304', async () => {
+      const response = await get('/about');
+      assert.strictEqual(response.status, 200);
+      const etag = response.headers.get('etag');
+      assert.match(etag, /^"[0-9a-f]{64}"$/);
+      assert(response.headers.get('x-review-state'));
+
+      const revalidated = await get('/about', { 'if-none-match': `W/${etag}, "other"` });
+      assert.strictEqual(revalidated.status, 304);
+      assert.strictEqual(revalidated.headers.get('etag'), etag);
+      assert.strictEqual(await revalidated.text(), '');
+    });
+
+    it('changes the ETag when the metadata changes', async () => {
+      const etag = (await get('/about')).headers.get('etag');
+      metadataRules = [{ URL: '/**', title: 'Other Title' }];
+
+      const response = await get('/about', { 'if-none-match': etag });
+      assert.strictEqual(response.status, 200);
+      assert.notStrictEqual(response.headers.get('etag'), etag);
+    });
+
+    it('does not pass page validators to the origin', async () => {
+      await get('/about', { 'if-none-match': '"abc"', 'if-modified-since': 'Thu, 01 Oct 2026 10:00:00 GMT' });
+      global.fetch.mock.calls.forEach((call) => {
+        assert.strictEqual(call.arguments[1]?.headers?.get('if-none-match') ?? null, null);
+      });
+    });
+
+    it('passes validators through for assets', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => {
+        if (url.endsWith('/image.png')) {
+          return init.headers.get('if-none-match') === '"asset"'
+            ? new Response(null, { status: 304, headers: { etag: '"asset"' } })
+            : new Response('png', { status: 200, headers: { etag: '"asset"' } });
+        }
+        return fetch(url, init);
+      });
+
+      const response = await get('/image.png', {
+        'if-none-match': '"asset"',
+        'if-modified-since': 'Thu, 01 Oct 2026 10:00:00 GMT',
+      });
+      assert.strictEqual(response.status, 304);
+      assert.strictEqual(response.headers.get('etag'), '"asset"');
+      const call = global.fetch.mock.calls.find(({ arguments: [url] }) => url.endsWith('/image.png'));
+      assert.strictEqual(call.arguments[1].headers.get('if-modified-since'), 'Thu, 01 Oct 2026 10:00:00 GMT');
+    });
+  });
+
+  describe('JWT authentication', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const get = (path, headers = {}) => worker.fetch(new Request(`${reviewHost}${path}`, { headers }), env, ctx);
+
+    beforeEach(async () => {
+      await useJwtAuth();
+    });
+
+    it('requires a bearer token', async () => {
+      const response = await get('/about');
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual(response.headers.get('www-authenticate'), 'Bearer realm="review"');
+    });
+
+    it('accepts valid tokens from the authorization header or cookie', async () => {
+      const token = await sign();
+      assert.strictEqual((await get('/about', { authorization: `Bearer ${token}` })).status, 200);
+      assert.strictEqual((await get('/about', { cookie: `reviewToken=${token}` })).status, 200);
+    });
+
+    it('caches the JWKS', async () => {
+      const token = await sign();
+      await get('/about', { authorization: `Bearer ${token}` });
+      await get('/about', { authorization: `Bearer ${token}` });
+      const jwksCalls = global.fetch.mock.calls.filter(({ arguments: [url] }) => url === jwksUrl);
+      assert(jwksCalls.length <= 1);
+    });
+
+    it('rejects the review password', async () => {
+      const hash = createHash('sha256').update('secret').digest('hex');
+      const response = await get('/about', { cookie: `reviewPassword=${hash}` });
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects expired tokens, other issuers, audiences and signatures', async () => {
+      const otherKey = await crypto.subtle.generateKey({
+        name: 'RSASSA-PKCS1-v1_5',
+        modulusLength: 2048,
+        publicExponent: new Uint8Array([1, 0, 1]),
+        hash: 'SHA-256',
+      }, true, ['sign', 'verify']);
+      const tokens = await Promise.all([
+        sign({ exp: Math.floor(Date.now() / 1000) - 3600 }),
+        sign({ iss: 'https://evil.example.com' }),
+        sign({ aud: ['other'] }),
+        sign({}, { key: otherKey.privateKey }),
+        'not-a-jwt',
+      ]);
+      const responses = await Promise.all(tokens.map((token) => get('/about', { authorization: `Bearer ${token}` })));
+      responses.forEach((response) => assert.strictEqual(response.status, 401));
+    });
+
+    it('restricts access to allowed domains and groups', async () => {
+      manifestMetadata.allowedDomains = 'example.com';
+      manifestMetadata.allowedGroups = 'reviewers';
+      const denied = await get('/about', { authorization: `Bearer ${await sign()}` });
+      assert.strictEqual(denied.status, 401);
+
+      const byDomain = await get('/about', { authorization: `Bearer ${await sign({ email: 'joe@EXAMPLE.com' })}` });
+      assert.strictEqual(byDomain.status, 200);
+      const byGroup = await get('/about', { authorization: `Bearer ${await sign({ groups: ['reviewers'] })}` });
+      assert.strictEqual(byGroup.status, 200);
+    });
+
+    it('records the verified user on comments and approvals', async () => {
+      env.REVIEWS = createKV();
+      const authorization = `Bearer ${await sign()}`;
+      const post = (path, body) => worker.fetch(new Request(`${reviewHost}${path}`, {
+        method: 'POST',
+        headers: { authorization, 'content-type': 'application/json' },
+        body: JSON.stringify(body),
+      }), env, ctx);
+
+      const comment = await (await post('/.review/comments', { path: '/about', body: 'Nice', author: 'Someone' })).json();
+      assert.strictEqual(comment.author, 'Jane');
+      assert.strictEqual(comment.authorId, 'user-1');
+
+      const approvals = await (await post('/.review/approve', { reviewer: 'someone-else' })).json();
+      assert.deepStrictEqual(approvals.decisions.map(({ reviewer }) => reviewer), ['jane@adobe.com']);
+    });
+
+    it('only lets the author change comments of verified users', async () => {
+      env.REVIEWS = createKV();
+      const send = async (path, method, sub, body) => worker.fetch(new Request(`${reviewHost}${path}`, {
+        method,
+        headers: { authorization: `Bearer ${await sign({ sub })}`, 'content-type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      }), env, ctx);
+
+      const comment = await (await send('/.review/comments', 'POST', 'user-1', { path: '/about', body: 'Nice' })).json();
+      const path = `/.review/comments/${comment.id}`;
+      assert.strictEqual((await send(path, 'PATCH', 'user-2', { body: 'Changed' })).status, 403);
+      assert.strictEqual((await send(path, 'DELETE', 'user-2')).status, 403);
+      assert.strictEqual((await send(`${path}/resolve`, 'POST', 'user-2')).status, 200);
+      assert.strictEqual((await send(path, 'PATCH', 'user-1', { body: 'Changed' })).status, 200);
+      assert.strictEqual((await send(path, 'DELETE', 'user-1')).status, 204);
+    });
+  });
+
+  describe('Password brute-force protection', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    let warn;
+
+    const login = (password, ip = '192.0.2.1') => worker.fetch(new Request(`${reviewHost}/.auth/login`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'cf-connecting-ip': ip,
+      },
+      body: new URLSearchParams({ password, redirect: '/' }).toString(),
+    }), env, ctx);
+
+    beforeEach((t) => {
+      env.REVIEWS = createKV();
+      env.LOGIN_MAX_ATTEMPTS = '3';
+      manifestMetadata = { reviewPassword: 'secret' };
+      warn = t.mock.method(console, 'warn', () => {});
+    });
+
+    it('locks out a client after too many failed attempts', async () => {
+      for (let i = 0; i < 3; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        assert.strictEqual((await login('wrong')).status, 401);
+      }
+      const locked = await login('secret');
+      assert.strictEqual(locked.status, 429);
+      assert(Number(locked.headers.get('retry-after')) > 0);
+      assert(Number(locked.headers.get('retry-after')) <= 30);
+
+      assert.strictEqual((await login('secret', '192.0.2.2')).status, 302);
+      assert(warn.mock.calls.some(({ arguments: [message] }) => message.includes('192.0.2.1')));
+    });
+
+    it('backs off exponentially', async () => {
+      const key = 'attempts:adobe/test/main/review123:ip:192.0.2.1';
+      env.REVIEWS.store.set(key, JSON.stringify({ failures: 5 }));
+      await login('wrong');
+      const { failures, lockedUntil } = JSON.parse(env.REVIEWS.store.get(key));
+      assert.strictEqual(failures, 6);
+      const lockout = (lockedUntil - Date.now()) / 1000;
+      assert(lockout > 230 && lockout <= 240);
+    });
+
+    it('locks out wrong passwords on the review after too many attempts from any client', async () => {
+      env.LOGIN_MAX_REVIEW_ATTEMPTS = '2';
+      await login('wrong', '192.0.2.1');
+      await login('wrong', '192.0.2.2');
+      assert.strictEqual((await login('wrong', '192.0.2.3')).status, 429);
+      assert.strictEqual((await login('secret', '192.0.2.4')).status, 302);
+    });
+
+    it('resets the attempts of a client after a successful login', async () => {
+      await login('wrong');
+      assert.strictEqual((await login('secret')).status, 302);
+      assert(!env.REVIEWS.store.has('attempts:adobe/test/main/review123:ip:192.0.2.1'));
+    });
+
+    it('counts invalid password hash cookies as attempts', async () => {
+      const hash = createHash('sha256').update('secret').digest('hex');
+      const request = (cookie, ip = '192.0.2.1') => worker.fetch(new Request(`${reviewHost}/about`, {
+        headers: { cookie: `reviewPassword=${cookie}`, 'cf-connecting-ip': ip },
+      }), env, ctx);
+      for (let i = 0; i < 3; i += 1) {
+        // eslint-disable-next-line no-await-in-loop
+        assert.strictEqual((await request('guess')).status, 401);
+      }
+      assert.strictEqual((await login('secret')).status, 429);
+      assert.strictEqual((await request(hash)).status, 401);
+      assert.strictEqual((await request(hash, '192.0.2.2')).status, 200);
+    });
+
+    it('never refuses the correct password hash cookie for the review-wide lockout', async () => {
+      env.LOGIN_MAX_REVIEW_ATTEMPTS = '2';
+      const hash = createHash('sha256').update('secret').digest('hex');
+      await login('wrong', '192.0.2.1');
+      await login('wrong', '192.0.2.2');
+      const response = await worker.fetch(new Request(`${reviewHost}/about`, {
+        headers: { cookie: `reviewPassword=${hash}`, 'cf-connecting-ip': '192.0.2.3' },
+      }), env, ctx);
+      assert.strictEqual(response.status, 200);
+    });
+
+    it('warns that attempts are not limited without KV', async () => {
+      delete env.REVIEWS;
+      assert.strictEqual((await login('wrong')).status, 401);
+      assert(warn.mock.calls.some(({ arguments: [message] }) => message.includes('not limited')));
+    });
+  });
+
+  describe('Review toolbar', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+
+    const getHtml = async (path) => (await worker.fetch(new Request(`${reviewHost}${path}`), env, ctx)).text();
+
+    beforeEach(() => {
+      manifestMetadata = { toolbar: 'true' };
+    });
+
+    it('shows snapshot pages with navigation', async () => {
+      const html = await getHtml('/about');
+      assert(html.includes('<div id="review-toolbar"'));
+      assert(html.includes('<a href="/.review/" style="color:#fff">review123</a>'));
+      assert(html.includes('Snapshot page 2 of 2'));
+      assert(html.includes('<a href="/" style="color:#fff">← Previous</a>'));
+      assert(!html.includes('Next →'));
+      assert(html.includes('<a href="/.auth/logout?redirect=%2Fabout" style="color:#fff">Log out</a>'));
+      assert(html.indexOf('review-toolbar') > html.indexOf('Test Content'));
+    });
+
+    it('shows pages that fall through to live', async () => {
+      const html = await getHtml('/products');
+      assert(html.includes('Live page, not in this snapshot'));
+      assert(html.includes('<a href="/" style="color:#fff">First snapshot page →</a>'));
+    });
+
+    it('is not injected into plain html fragments', async () => {
+      const html = await getHtml('/about.plain.html');
+      assert(!html.includes('review-toolbar'));
+    });
+
+    it('is disabled by default', async () => {
+      manifestMetadata = {};
+      const html = await getHtml('/about');
+      assert(!html.includes('review-toolbar'));
+    });
+  });
+
+  describe('Vanity domains', () => {
+    const vanityHost = 'https://review.brand.com';
+
+    const get = (path) => worker.fetch(new Request(`${vanityHost}${path}`), env, ctx);
+
+    const manifestUrls = () => global.fetch.mock.calls
+      .map(({ arguments: [url] }) => url)
+      .filter((url) => url.endsWith('/.manifest.json'));
+
+    it('maps configured domains to reviews', async () => {
+      env.VANITY_DOMAINS = JSON.stringify({ 'review.brand.com': 'launch--main--site--brand' });
+      const response = await get('/about');
+      assert.strictEqual(response.status, 200);
+      assert.deepStrictEqual(manifestUrls(), ['https://main--site--brand.aem.page/.snapshots/launch/.manifest.json']);
+    });
+
+    it('maps domains stored in KV to reviews', async () => {
+      env.REVIEWS = createKV();
+      await env.REVIEWS.put('domain:review.brand.com', 'launch--main--site--brand');
+      await get('/about');
+      assert.deepStrictEqual(manifestUrls(), ['https://main--site--brand.aem.page/.snapshots/launch/.manifest.json']);
+    });
+
+    it('uses the vanity host in the sitemap and robots.txt', async () => {
+      env.VANITY_DOMAINS = JSON.stringify({ 'review.brand.com': 'launch--main--site--brand' });
+      const sitemap = await (await get('/sitemap.xml')).text();
+      assert(sitemap.includes('<loc>https://review.brand.com/about</loc>'));
+      const robots = await (await get('/robots.txt')).text();
+      assert(robots.includes('Sitemap: https://review.brand.com/sitemap.xml'));
+    });
+
+    it('ignores invalid mappings', async () => {
+      env.VANITY_DOMAINS = JSON.stringify({ 'review.brand.com': 'not-a-review' });
+      await get('/about');
+      assert.deepStrictEqual(manifestUrls(), ['https://main--aem-boilerplate--adobe.aem.page/.snapshots/default/.manifest.json']);
+    });
+
+    it('ignores the hostname parameter in production', async () => {
+      env.ENVIRONMENT = 'production';
+      await worker.fetch(new Request('https://example.com/?hostname=custom--main--project--org.aem.reviews'), env, ctx);
+      assert.deepStrictEqual(manifestUrls(), ['https://main--aem-boilerplate--adobe.aem.page/.snapshots/default/.manifest.json']);
+    });
+  });
+
+  describe('Origin domains', () => {
+    const get = (url) => worker.fetch(new Request(url), env, ctx);
+
+    const fetchedUrls = () => global.fetch.mock.calls
+      .map(({ arguments: [url] }) => (typeof url === 'string' ? url : url.toString()));
+
+    it('maps hlx.reviews to the hlx origins', async () => {
+      const snapshot = await get('https://review123--main--site--org.hlx.reviews/about');
+      assert.strictEqual(snapshot.headers.get('x-origin-url'), 'https://main--site--org.hlx.page/.snapshots/review123/about');
+      const live = await get('https://review123--main--site--org.hlx.reviews/products');
+      assert.strictEqual(live.headers.get('x-origin-url'), 'https://main--site--org.hlx.live/products');
+      assert(fetchedUrls().includes('https://main--site--org.hlx.page/.snapshots/review123/.manifest.json'));
+    });
+
+    it('forces the origin domain with ORIGIN_DOMAIN', async () => {
+      env.ORIGIN_DOMAIN = 'aem';
+      const response = await get('https://review123--main--site--org.hlx.reviews/products');
+      assert.strictEqual(response.headers.get('x-origin-url'), 'https://main--site--org.aem.live/products');
+    });
+
+    it('uses configured origin URLs', async () => {
+      env.ORIGIN_PAGE_URL = 'http://localhost:3000/{owner}/{repo}/{ref}/page/';
+      env.ORIGIN_LIVE_URL = 'http://localhost:3000/{owner}/{repo}/{ref}/live';
+      const snapshot = await get('https://review123--main--site--org.aem.reviews/about?x=1');
+      assert.strictEqual(snapshot.status, 200);
+      assert.strictEqual(snapshot.headers.get('x-origin-url'), 'http://localhost:3000/org/site/main/page/.snapshots/review123/about?x=1');
+      const live = await get('https://review123--main--site--org.aem.reviews/products');
+      assert.strictEqual(live.headers.get('x-origin-url'), 'http://localhost:3000/org/site/main/live/products');
+      assert(fetchedUrls().includes('http://localhost:3000/org/site/main/page/.snapshots/review123/.manifest.json'));
+    });
+
+    it('applies per owner and per site overrides', async () => {
+      env.ORIGIN_OVERRIDES = JSON.stringify({
+        org: { domain: 'hlx' },
+        'org/other': { live: 'https://live.example.com' },
+      });
+      const site = await get('https://review123--main--site--org.aem.reviews/products');
+      assert.strictEqual(site.headers.get('x-origin-url'), 'https://main--site--org.hlx.live/products');
+      const other = await get('https://review123--main--other--org.aem.reviews/products');
+      assert.strictEqual(other.headers.get('x-origin-url'), 'https://live.example.com/products');
+      const owner = await get('https://review123--main--site--adobe.aem.reviews/products');
+      assert.strictEqual(owner.headers.get('x-origin-url'), 'https://main--site--adobe.aem.live/products');
+    });
+
+    it('keeps links to the configured origins inside the review', async () => {
+      env.ORIGIN_LIVE_URL = 'http://localhost:3000';
+      contentHtml = '<html><body><a href="http://localhost:3000/products">Products</a></body></html>';
+      const html = await (await get('https://review123--main--site--org.aem.reviews/products')).text();
+      assert(html.includes('href="https://review123--main--site--org.aem.reviews/products"'));
+    });
+  });
+
+  describe('Origin timeouts and retries', () => {
+    const reviewHost = 'https://review123--main--test--adobe.aem.reviews';
+    const manifestKey = 'cache:adobe/test/main/review123/manifest';
+
+    const originCalls = (part) => global.fetch.mock.calls
+      .filter((call) => call.arguments[0].includes(part)).length;
+
+    beforeEach((t) => {
+      t.mock.method(console, 'log', () => {});
+      t.mock.method(console, 'warn', () => {});
+      t.mock.method(console, 'error', () => {});
+    });
+
+    it('retries origin errors', async () => {
+      const { fetch } = global;
+      let failures = 1;
+      global.fetch = mock.fn(async (url, init) => {
+        if (url.includes('/products') && failures > 0) {
+          failures -= 1;
+          return new Response('Bad Gateway', { status: 502 });
+        }
+        return fetch(url, init);
+      });
+
+      const response = await worker.fetch(new Request(`${reviewHost}/products`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(originCalls('/products'), 2);
+    });
+
+    it('limits the retries', async () => {
+      env.ORIGIN_RETRIES = '1';
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.includes('/products')
+        ? new Response('Service Unavailable', { status: 503 })
+        : fetch(url, init)));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/products`), env, ctx);
+      assert.strictEqual(response.status, 503);
+      assert.strictEqual(originCalls('/products'), 2);
+    });
+
+    it('does not retry non-idempotent requests', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.includes('/form')
+        ? new Response('Service Unavailable', { status: 503 })
+        : fetch(url, init)));
+
+      await worker.fetch(new Request(`${reviewHost}/form`, { method: 'POST' }), env, ctx);
+      assert.strictEqual(originCalls('/form'), 1);
+    });
+
+    it('times out slow origins', async () => {
+      env.ORIGIN_TIMEOUT = '0.05';
+      env.ORIGIN_RETRIES = '0';
+      global.fetch = mock.fn((url, request) => new Promise((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(request.signal.reason));
+      }));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert.strictEqual(response.status, 504);
+      assert.strictEqual((await response.json()).code, 'upstream_timeout');
+    });
+
+    it('times out slow origin bodies', async () => {
+      env.ORIGIN_TIMEOUT = '0.05';
+      env.ORIGIN_RETRIES = '0';
+      global.fetch = mock.fn(async (url, request) => new Response(new ReadableStream({
+        start(controller) {
+          request.signal.addEventListener('abort', () => controller.error(request.signal.reason));
+        },
+      }), { status: 200, headers: { 'content-type': 'application/json' } }));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert.strictEqual(response.status, 504);
+    });
+
+    it('serves pages without rewriting when metadata is unavailable', async () => {
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.includes('/metadata.json')
+        ? new Response('<html>Not JSON</html>', { status: 200, headers: { 'content-type': 'text/html' } })
+        : fetch(url, init)));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      const html = await response.text();
+      assert(html.includes('Test Content'));
+      assert(!html.includes('Default Title'));
+    });
+
+    it('serves a stale manifest while the origin fails', async () => {
+      env.REVIEWS = createKV();
+      env.ORIGIN_RETRIES = '0';
+      await env.REVIEWS.put(manifestKey, JSON.stringify({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ metadata: {}, resources: [{ path: '/' }, { path: '/about' }] }),
+        fetched: Date.now() - 60 * 60 * 1000,
+      }));
+      const { fetch } = global;
+      global.fetch = mock.fn(async (url, init) => (url.includes('/.manifest.json')
+        ? new Response('Service Unavailable', { status: 503 })
+        : fetch(url, init)));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/about`), env, ctx);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(originCalls('/.manifest.json'), 1);
+      assert.strictEqual(response.headers.get('x-origin-url'), 'https://main--test--adobe.aem.page/.snapshots/review123/about');
+    });
+
+    it('fails once the stale manifest is too old', async () => {
+      env.REVIEWS = createKV();
+      env.ORIGIN_RETRIES = '0';
+      env.CACHE_STALE_IF_ERROR_TTL = '60';
+      await env.REVIEWS.put(manifestKey, JSON.stringify({
+        status: 200,
+        contentType: 'application/json',
+        body: JSON.stringify({ metadata: {}, resources: [{ path: '/' }] }),
+        fetched: Date.now() - 60 * 60 * 1000,
+      }));
+      global.fetch = mock.fn(async () => new Response('Service Unavailable', { status: 503 }));
+
+      const response = await worker.fetch(new Request(`${reviewHost}/`), env, ctx);
+      assert.strictEqual(response.status, 502);
+    });
   });
 });
@@ -0,0 +1,46 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env mocha */
+import assert from 'assert';
+import { describe, it } from 'node:test';
+import { globToRegExp } from '../src/metadata.js';
+
+describe('Metadata glob matching', () => {
+  const matches = (glob, path) => globToRegExp(glob).test(path);
+
+  it('anchors patterns', () => {
+    assert(matches('/en/**', '/en/page'));
+    assert(!matches('/en/**', '/fr/en/page'));
+    assert(!matches('/en/*', '/en/page/more'));
+  });
+
+  it('matches any depth with **', () => {
+    assert(matches('/**', '/'));
+    assert(matches('/en/**', '/en/'));
+    assert(matches('/en/**', '/en/a/b/c'));
+    assert(!matches('/en/**', '/en'));
+  });
+
+  it('matches a single segment with *', () => {
+    assert(matches('/blog/*', '/blog/post'));
+    assert(matches('/blog/*/index', '/blog/2024/index'));
+    assert(!matches('/blog/*/index', '/blog/2024/01/index'));
+  });
+
+  it('matches everything else literally', () => {
+    assert(matches('/a.b/**', '/a.b/c'));
+    assert(!matches('/a.b/**', '/axb/c'));
+    assert(matches('/what?/*', '/what?/x'));
+    assert(!matches('/what?/*', '/wha/x'));
+    assert(matches('/(x)/[y]/**', '/(x)/[y]/z'));
+  });
+});
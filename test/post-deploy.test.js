@@ -49,7 +49,7 @@ describe('Helix Reviews Post-Deploy Validation', () => {
 
     const text = await response.text();
     assert(text.includes('User-agent: *'), 'Should contain User-agent directive');
-    assert(text.includes('Allow: /'), 'Should allow crawling');
+    assert(text.includes('Disallow: /'), 'Should disallow crawling by default');
     assert(text.includes('Sitemap: https://default--main--aem-boilerplate--adobe.aem.reviews/sitemap.xml'), 'Should include sitemap URL');
   });
 
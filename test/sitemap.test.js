@@ -0,0 +1,98 @@
+/*
+ * Copyright 2026 Adobe. All rights reserved.
+ * This file is licensed to you under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License. You may obtain a copy
+ * of the License at http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software distributed under
+ * the License is distributed on an "AS IS" BASIS, WITHOUT WARRANTIES OR REPRESENTATIONS
+ * OF ANY KIND, either express or implied. See the License for the specific language
+ * governing permissions and limitations under the License.
+ */
+/* eslint-env mocha */
+/* global global */
+import assert from 'assert';
+import {
+  describe, it, mock, beforeEach,
+} from 'node:test';
+import { generateSitemap, parseSitemap } from '../src/sitemap.js';
+
+describe('Sitemap', () => {
+  const origin = 'https://main--site--org.aem.page';
+  const hostname = 'review123--main--site--org.aem.reviews';
+
+  beforeEach(() => {
+    global.fetch = mock.fn(async (url) => {
+      if (url === `${origin}/sitemap.xml`) {
+        return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://www.example.com/sitemap-en.xml</loc></sitemap>
+  <sitemap><loc>https://www.example.com/sitemap-missing.xml</loc></sitemap>
+</sitemapindex>`);
+      }
+      if (url === `${origin}/sitemap-en.xml`) {
+        return new Response(`<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <url>
+    <loc>https://www.example.com/en/</loc>
+    <lastmod>2026-01-01</lastmod>
+    <xhtml:link rel="alternate" hreflang="de" href="https://www.example.com/de/"/>
+  </url>
+  <url>
+    <loc>https://www.example.com/en/q&amp;a</loc>
+  </url>
+</urlset>`);
+      }
+      return new Response('Not Found', { status: 404 });
+    });
+  });
+
+  it('parses urls, lastmod and alternates', () => {
+    const { urls, sitemaps } = parseSitemap(`<urlset>
+<url><loc>https://a.com/x</loc><lastmod>2026-01-01</lastmod>
+<xhtml:link rel="alternate" hreflang="fr" href="https://a.com/fr/x" /></url>
+</urlset>`);
+    assert.deepStrictEqual(sitemaps, []);
+    assert.deepStrictEqual(urls, [{
+      path: '/x',
+      lastmod: '2026-01-01',
+      alternates: [{ hreflang: 'fr', path: '/fr/x' }],
+    }]);
+  });
+
+  it('follows sitemap indexes and rewrites urls to the review host', async () => {
+    const resources = [
+      { path: '/en/new', lastModified: 'Thu, 01 Oct 2026 10:00:00 GMT' },
+      { path: '/en/' },
+      { path: '/metadata.json' },
+    ];
+    const response = await generateSitemap(hostname, resources, origin, new Request('https://example.com/'));
+    const xml = await response.text();
+
+    assert(xml.includes(`<url><loc>https://${hostname}/en/new</loc><lastmod>2026-10-01T10:00:00.000Z</lastmod></url>`));
+    assert(xml.includes(`<url><loc>https://${hostname}/en/</loc><xhtml:link rel="alternate" hreflang="de" href="https://${hostname}/de/"/></url>`));
+    assert(xml.includes(`<url><loc>https://${hostname}/en/q&amp;a</loc></url>`));
+    assert(!xml.includes('metadata.json'));
+    assert(!xml.includes('sitemap-en.xml'));
+    assert.strictEqual(xml.match(/<loc>/g).length, 3);
+  });
+
+  it('only lists origin pages in the origin sitemap', async () => {
+    const resources = [{ path: '/en/new' }];
+    const response = await generateSitemap(hostname, resources, origin, new Request('https://example.com/'), { originOnly: true });
+    const xml = await response.text();
+
+    assert(!xml.includes('/en/new'));
+    assert(xml.includes(`<url><loc>https://${hostname}/en/</loc><lastmod>2026-01-01</lastmod>`));
+  });
+
+  it('lists snapshot pages if the origin has no sitemap', async () => {
+    global.fetch = mock.fn(async () => {
+      throw new Error('connection refused');
+    });
+    const response = await generateSitemap(hostname, [{ path: '/' }], origin, new Request('https://example.com/'));
+    const xml = await response.text();
+
+    assert(xml.includes(`<url><loc>https://${hostname}/</loc></url>`));
+  });
+});